@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+'use strict';
+
+var fs = require('fs');
+var VMRun = require('../index.js');
+
+// Option types, for converting flags and environment variables to `setOptions` fields
+var OPTION_TYPES = {
+    vmrunPath: 'string',
+    hostName: 'string',
+    hostPort: 'number',
+    hostType: 'string',
+    hostUsername: 'string',
+    hostPassword: 'string',
+    guestUsername: 'string',
+    guestPassword: 'string',
+    vmPassword: 'string',
+    timeout: 'number',
+    maxBuffer: 'number',
+    debug: 'boolean',
+    autoDiscover: 'boolean',
+    checkCapabilities: 'boolean',
+    maxConcurrency: 'number',
+    serializePerVM: 'boolean',
+    retry: 'boolean'
+};
+
+// Flags of the commands themselves, which are not options
+var COMMAND_FLAGS = {
+    json: 'boolean',
+    config: 'string',
+    help: 'boolean',
+    tree: 'boolean',
+    wait: 'boolean',
+    gui: 'boolean',
+    hard: 'boolean'
+};
+
+// Exit codes per error class, checked in order. Any other failure exits with 3.
+var EXIT_CODES = [
+    [VMRun.VMRunNotFoundError, 4],
+    [VMRun.VMRunTimeoutError, 5],
+    [VMRun.VMRunAbortError, 6],
+    [VMRun.VMNotPoweredOnError, 7],
+    [VMRun.ToolsNotRunningError, 8],
+    [VMRun.GuestAuthenticationError, 9],
+    [VMRun.GuestFileNotFoundError, 10],
+    [VMRun.VMLockedError, 11],
+    [VMRun.InvalidSnapshotError, 12],
+    [VMRun.HostConnectionError, 13],
+    [VMRun.VMRunUnsupportedError, 14],
+    [VMRun.GuestProgramError, 15]
+];
+
+var EXIT_FALSE = 1;
+var EXIT_USAGE = 2;
+var EXIT_ERROR = 3;
+
+var done = function () {
+    return null;
+};
+
+/**
+ * Subcommands, with their positional arguments and how to run them.
+ * Commands resolving to `false` exit with 1, like `test`.
+ */
+var COMMANDS = {
+    list: {
+        args: [],
+        run: function (vmrun) {
+            return vmrun.list();
+        }
+    },
+    listRegisteredVM: {
+        args: [],
+        run: function (vmrun) {
+            return vmrun.listRegisteredVM();
+        }
+    },
+    getState: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.getState(args[0]);
+        }
+    },
+    checkToolsState: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.checkToolsState(args[0])
+                .then(function (state) {
+                    return state.trim();
+                });
+        }
+    },
+    getGuestIPAddress: {
+        args: ['vmxFile'],
+        flags: ['wait'],
+        run: function (vmrun, args, flags) {
+            return vmrun.getGuestIPAddress(args[0], { wait: flags.wait });
+        }
+    },
+    listSnapshots: {
+        args: ['vmxFile'],
+        flags: ['tree'],
+        run: function (vmrun, args, flags) {
+            return vmrun.listSnapshots(args[0], { showTree: flags.tree });
+        }
+    },
+    snapshotExists: {
+        args: ['vmxFile', 'snapshotName'],
+        run: function (vmrun, args) {
+            return vmrun.snapshotExists(args[0], args[1]);
+        }
+    },
+    listProcessesInGuest: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.listProcessesInGuest(args[0]);
+        }
+    },
+    listDirectoryInGuest: {
+        args: ['vmxFile', 'directoryPath'],
+        run: function (vmrun, args) {
+            return vmrun.listDirectoryInGuest(args[0], args[1]);
+        }
+    },
+    fileExistsInGuest: {
+        args: ['vmxFile', 'path'],
+        run: function (vmrun, args) {
+            return vmrun.fileExistsInGuest(args[0], args[1]);
+        }
+    },
+    directoryExistsInGuest: {
+        args: ['vmxFile', 'path'],
+        run: function (vmrun, args) {
+            return vmrun.directoryExistsInGuest(args[0], args[1]);
+        }
+    },
+    readVariable: {
+        args: ['vmxFile', 'where', 'variableName'],
+        run: function (vmrun, args) {
+            return vmrun.readVariable(args[0], args[1], args[2]);
+        }
+    },
+    listNetworkAdapters: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.listNetworkAdapters(args[0]);
+        }
+    },
+    listHostNetworks: {
+        args: [],
+        run: function (vmrun) {
+            return vmrun.listHostNetworks();
+        }
+    },
+    listPortForwardings: {
+        args: ['hostNetworkName'],
+        run: function (vmrun, args) {
+            return vmrun.listPortForwardings(args[0]);
+        }
+    },
+    start: {
+        args: ['vmxFile'],
+        flags: ['gui'],
+        run: function (vmrun, args, flags) {
+            return vmrun.start(args[0], flags.gui).then(done);
+        }
+    },
+    poweroff: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.poweroff(args[0]).then(done);
+        }
+    },
+    shutdown: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.shutdown(args[0]).then(done);
+        }
+    },
+    reset: {
+        args: ['vmxFile'],
+        run: function (vmrun, args) {
+            return vmrun.reset(args[0]).then(done);
+        }
+    },
+    suspend: {
+        args: ['vmxFile'],
+        flags: ['hard'],
+        run: function (vmrun, args, flags) {
+            return vmrun.suspend(args[0], flags.hard).then(done);
+        }
+    },
+    capabilities: {
+        args: [],
+        run: function (vmrun) {
+            return vmrun.getCapabilities();
+        }
+    }
+};
+
+/**
+ * @param {String} message
+ * @returns {Error}
+ */
+var usageError = function (message) {
+    var err = new Error(message);
+    err.usage = true;
+    return err;
+};
+
+/**
+ * @param {String} name i.e. 'host-type'
+ * @returns {String} i.e. 'hostType'
+ */
+var camelCase = function (name) {
+    return name === 'serialize-per-vm'
+        ? 'serializePerVM'
+        : name.replace(/-([a-z])/g, function (m, c) {
+            return c.toUpperCase();
+        });
+};
+
+/**
+ * @param {String} name
+ * @param {String} type
+ * @param {String} value
+ * @returns {String|Number|Boolean}
+ */
+var convert = function (name, type, value) {
+    if (type === 'number') {
+        if (!/^[0-9]+$/.test(value)) {
+            throw usageError(name + ' must be a number');
+        }
+        return parseInt(value, 10);
+    }
+
+    if (type === 'boolean') {
+        if (/^(1|true|yes)$/i.test(value)) return true;
+        if (/^(0|false|no|)$/i.test(value)) return false;
+        throw usageError(name + ' must be true or false');
+    }
+
+    return value;
+};
+
+/**
+ * @param {[String]} argv
+ * @returns {{command: String|null, args: [String], flags: Object, options: Object}}
+ */
+var parseArgv = function (argv) {
+    var parsed = { command: null, args: [], flags: {}, options: {} };
+
+    for (var i = 0; i < argv.length; i++) {
+        var token = argv[i];
+
+        if (token === '--') {
+            parsed.args = parsed.args.concat(argv.slice(i + 1));
+            break;
+        }
+
+        var matches = token.match(/^--(no-)?([a-z][a-z0-9-]*)(?:=(.*))?$/);
+        if (!matches) {
+            if (parsed.command === null) {
+                parsed.command = token;
+            } else {
+                parsed.args.push(token);
+            }
+            continue;
+        }
+
+        var name = camelCase(matches[2]);
+        var isOption = OPTION_TYPES.hasOwnProperty(name);
+        var type = isOption ? OPTION_TYPES[name] : COMMAND_FLAGS[name];
+        var value = matches[3];
+
+        if (!type) {
+            throw usageError('Unknown flag --' + matches[2]);
+        }
+
+        if (type === 'boolean') {
+            value = value === undefined ? !matches[1] : convert('--' + matches[2], type, value);
+        } else {
+            if (matches[1]) {
+                throw usageError('Unknown flag ' + token);
+            }
+            if (value === undefined) {
+                if (i + 1 >= argv.length) {
+                    throw usageError('--' + matches[2] + ' needs a value');
+                }
+                value = argv[++i];
+            }
+            value = convert('--' + matches[2], type, value);
+        }
+
+        (isOption ? parsed.options : parsed.flags)[name] = value;
+    }
+
+    return parsed;
+};
+
+/**
+ * Options from `VMRUN_*` environment variables, i.e. `VMRUN_HOST_TYPE` for `hostType`.
+ * `VMRUN_PATH` is `vmrunPath`, as for discovery.
+ * @param {Object} env
+ * @returns {Object}
+ */
+var envOptions = function (env) {
+    var options = {};
+
+    Object.keys(OPTION_TYPES).forEach(function (name) {
+        var variable = name === 'vmrunPath'
+            ? 'VMRUN_PATH'
+            : 'VMRUN_' + name.replace(/VM$/, 'Vm').replace(/([A-Z])/g, '_$1').toUpperCase();
+
+        if (env[variable] !== undefined && env[variable] !== '') {
+            options[name] = convert(variable, OPTION_TYPES[name], env[variable]);
+        }
+    });
+
+    return options;
+};
+
+/**
+ * @param {String?} path A JSON file with `setOptions` fields
+ * @returns {Object}
+ */
+var configOptions = function (path) {
+    if (!path) return {};
+
+    var text;
+    try {
+        text = fs.readFileSync(path, 'utf8');
+    } catch (err) {
+        throw usageError('Cannot read config file ' + path + ': ' + err.message);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw usageError('Invalid config file ' + path + ': ' + err.message);
+    }
+};
+
+/**
+ * @param {{name: String, children: Array}} node
+ * @param {String} indent
+ * @returns {String}
+ */
+var formatTree = function (node, indent) {
+    return [indent + node.name].concat(node.children.map(function (child) {
+        return formatTree(child, indent + '  ');
+    })).join('\n');
+};
+
+/**
+ * @param {*} data
+ * @returns {String}
+ */
+var formatText = function (data) {
+    if (data === null || data === undefined) return '';
+
+    if (Array.isArray(data)) {
+        return data.map(function (item) {
+            if (item && typeof item === 'object' && Array.isArray(item.children)) {
+                // Snapshot trees
+                return formatTree(item, '');
+            }
+            if (item && typeof item === 'object') {
+                return Object.keys(item).map(function (key) {
+                    return item[key];
+                }).join('\t');
+            }
+            return item + '';
+        }).join('\n');
+    }
+
+    if (typeof data === 'object') {
+        return Object.keys(data)
+            .filter(function (key) {
+                return typeof data[key] !== 'function';
+            })
+            .map(function (key) {
+                var value = data[key];
+                return key + ': ' + (Array.isArray(value) ? value.join(', ') : value);
+            }).join('\n');
+    }
+
+    return data + '';
+};
+
+/**
+ * @param {Error} err
+ * @returns {Number}
+ */
+var exitCodeFor = function (err) {
+    if (err.usage || err instanceof TypeError) return EXIT_USAGE;
+
+    for (var i = 0; i < EXIT_CODES.length; i++) {
+        if (err instanceof EXIT_CODES[i][0]) {
+            return EXIT_CODES[i][1];
+        }
+    }
+
+    return EXIT_ERROR;
+};
+
+var usage = function () {
+    return [
+        'Usage: vmrun-js [options] <command> [arguments]',
+        '',
+        'Commands:',
+        Object.keys(COMMANDS).map(function (name) {
+            var command = COMMANDS[name];
+            return '  ' + [name].concat(command.args.map(function (arg) {
+                return '<' + arg + '>';
+            })).concat((command.flags || []).map(function (flag) {
+                return '[--' + flag + ']';
+            })).join(' ');
+        }).join('\n'),
+        '',
+        'Options (also VMRUN_* environment variables, i.e. VMRUN_HOST_TYPE, or a JSON --config file):',
+        Object.keys(OPTION_TYPES).map(function (name) {
+            var flag = '--' + name.replace(/VM$/, 'Vm').replace(/([A-Z])/g, '-$1').toLowerCase();
+            return '  ' + flag + (OPTION_TYPES[name] === 'boolean' ? '' : ' <' + OPTION_TYPES[name] + '>');
+        }).join('\n'),
+        '  --json               Print results and errors as JSON',
+        '  --config <file>      Read options from a JSON file (or VMRUN_CONFIG)',
+        '',
+        'Exit codes: 0 success, 1 false result, 2 usage error, 3 vmrun error, 4 and up specific errors (see README)'
+    ].join('\n');
+};
+
+/**
+ * @param {[String]} argv
+ * @param {Object} env
+ * @returns {Promise.<Number>} The exit code
+ */
+var main = function (argv, env) {
+    var json = argv.indexOf('--json') !== -1;
+
+    return Promise.resolve()
+        .then(function () {
+            var parsed = parseArgv(argv);
+            json = !!parsed.flags.json;
+
+            if (parsed.flags.help || parsed.command === null) {
+                process.stdout.write(usage() + '\n');
+                return parsed.flags.help ? 0 : EXIT_USAGE;
+            }
+
+            var command = COMMANDS[parsed.command];
+            if (!command) {
+                throw usageError('Unknown command ' + parsed.command);
+            }
+
+            if (parsed.args.length !== command.args.length) {
+                throw usageError('Usage: vmrun-js ' + parsed.command + ' ' + command.args.map(function (arg) {
+                    return '<' + arg + '>';
+                }).join(' '));
+            }
+
+            Object.keys(parsed.flags).forEach(function (flag) {
+                if (['json', 'config', 'help'].indexOf(flag) === -1 && (command.flags || []).indexOf(flag) === -1) {
+                    throw usageError('--' + flag + ' is not a flag of ' + parsed.command);
+                }
+            });
+
+            // Flags override the environment, which overrides the config file
+            var options = Object.assign({},
+                configOptions(parsed.flags.config || env.VMRUN_CONFIG),
+                envOptions(env),
+                parsed.options);
+
+            var vmrun = VMRun.withOptions(options);
+
+            return command.run(vmrun, parsed.args, parsed.flags)
+                .then(function (result) {
+                    if (json) {
+                        process.stdout.write(JSON.stringify(result === undefined ? null : result, null, 2) + '\n');
+                    } else {
+                        var text = formatText(result);
+                        if (text) {
+                            process.stdout.write(text + '\n');
+                        }
+                    }
+
+                    return result === false ? EXIT_FALSE : 0;
+                });
+        })
+        .catch(function (err) {
+            var code = exitCodeFor(err);
+
+            if (json) {
+                process.stderr.write(JSON.stringify({
+                    error: {
+                        name: err.usage ? 'UsageError' : err.name,
+                        message: err.message,
+                        exitCode: code,
+                        vmrunExitCode: err.exitCode === undefined ? null : err.exitCode,
+                        guestExitCode: err.guestExitCode === undefined ? null : err.guestExitCode
+                    }
+                }, null, 2) + '\n');
+            } else {
+                process.stderr.write('vmrun-js: ' + err.message + '\n');
+            }
+
+            return code;
+        });
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2), process.env)
+        .then(function (code) {
+            process.exitCode = code;
+        });
+}
+
+module.exports = {
+    main: main,
+    parseArgv: parseArgv
+};
@@ -1,7 +1,30 @@
 'use strict';
 
 var
-    child_process = require('child_process'),
+    EventEmitter = require('events').EventEmitter,
+    fs = require('fs'),
+    net = require('net'),
+    os = require('os'),
+    Path = require('path'),
+    util = require('util'),
+    capabilities = require('./lib/capabilities'),
+    concurrency = require('./lib/concurrency'),
+    discovery = require('./lib/discovery'),
+    errors = require('./lib/errors'),
+    extend = require('./lib/extend'),
+    FakeVMRun = require('./lib/fake-vmrun').FakeVMRun,
+    glob = require('./lib/glob'),
+    GuestFs = require('./lib/guest-fs').GuestFs,
+    guestShell = require('./lib/guest-shell'),
+    lab = require('./lib/lab'),
+    poll = require('./lib/poll'),
+    recording = require('./lib/recording'),
+    redact = require('./lib/redact'),
+    retry = require('./lib/retry'),
+    spawn = require('./lib/spawn'),
+    TemporaryVM = require('./lib/temporary-vm').TemporaryVM,
+    vmx = require('./lib/vmx'),
+    VirtualMachine = require('./lib/virtual-machine').VirtualMachine,
     escapeArg;
 
 // Host operating system
@@ -23,10 +46,46 @@ if (/^win/.test(process.platform)) {
     };
 }
 
+/**
+ * Strips the quotes that used to be required for paths with spaces
+ * @param {String?} path
+ * @returns {String}
+ */
+var unquotePath = function (path) {
+    return ((path || '') + '').replace(/^"(.*)"$/, '$1');
+};
+
 var cleanStdout = function (stdout) {
     return stdout.replace(/[\r\n]$/, '');
 };
 
+/**
+ * Creates an error for a vmrun invocation which reported its failure in the output
+ * @param {String} command
+ * @param {[String]} args
+ * @param {{stdout, stderr}} std
+ * @param {VMRunOptions?} options Options of the invocation, for redacting secrets
+ * @returns {VMRunError}
+ */
+var outputError = function (command, args, std, options) {
+    var err = errors.createError({
+        command: command,
+        args: redact.redactArgs(args),
+        stdout: std.stdout,
+        stderr: std.stderr
+    });
+    return redact.redactError(err, redact.getSecrets(options));
+};
+
+var DEFAULT_LOGGER = {
+    debug: function (message) {
+        console.warn(message);
+    },
+    warn: function (message) {
+        console.warn(message);
+    }
+};
+
 /** @enum {String} VMWareHostType */
 var VMWareHostType = {
     SERVER1: 'server1'
@@ -41,11 +100,18 @@ var VMWareHostType = {
 
 /**
  * @param {String} type
+ * @param {function(String)?} warn Called when the type is not recognized, and falls back to Workstation
  * @returns {VMWareHostType}
  */
-var resolveHostType = function (type) {
+var resolveHostType = function (type, warn) {
     switch (((type || '') + '').toLowerCase()) {
         default:
+            if (warn) {
+                warn('Unrecognized hostType "' + type + '", falling back to "' + VMWareHostType.WORKSTATION + '"');
+            }
+            return VMWareHostType.WORKSTATION;
+
+        case '':
         case 'ws':
         case 'workstation':
             return VMWareHostType.WORKSTATION;
@@ -73,273 +139,1728 @@ var resolveHostType = function (type) {
     }
 };
 
-var validPath = function (path) {
-    return (path + '').replace(/[\/\\]*$/, '');
+/** @enum {String} NetworkAdapterType */
+var NetworkAdapterType = {
+    BRIDGED: 'bridged'
+    , NAT: 'nat'
+    , HOST_ONLY: 'hostonly'
+    , CUSTOM: 'custom'
 };
 
-var extend = function (dest) {
+/**
+ * @param {String} type
+ * @returns {NetworkAdapterType|null}
+ */
+var resolveNetworkAdapterType = function (type) {
+    switch (((type || '') + '').toLowerCase()) {
+        case 'bridged':
+            return NetworkAdapterType.BRIDGED;
+
+        case 'nat':
+            return NetworkAdapterType.NAT;
+
+        case 'hostonly':
+        case 'host-only':
+        case 'host_only':
+            return NetworkAdapterType.HOST_ONLY;
 
-    for (var i = 1, len = arguments.length; i < len; i++) {
-        var o = arguments[i];
-        if (!o) continue;
+        case 'custom':
+            return NetworkAdapterType.CUSTOM;
 
-        for (var key in o) {
-            if (!o.hasOwnProperty(key)) continue;
-            dest[key] = o[key];
+        default:
+            return null;
+    }
+};
+
+/**
+ * Parses the output of `listNetworkAdapters`
+ * @param {String} stdout
+ * @returns {[{index: Number, type: String, vmnet: String}]}
+ */
+var parseNetworkAdapters = function (stdout) {
+    var adapters = [];
+
+    stdout.split(/\r?\n/).forEach(function (line) {
+        var matches = line.trim().match(/^([0-9]+)\s+(\S+)(?:\s+(\S+))?/);
+        if (matches) {
+            adapters.push({
+                index: parseInt(matches[1], 10)
+                , type: resolveNetworkAdapterType(matches[2]) || matches[2]
+                , vmnet: matches[3] || ''
+            });
         }
+    });
+
+    return adapters;
+};
+
+/**
+ * Builds the type and host network arguments of a network adapter
+ * @param {NetworkAdapterType|{type: NetworkAdapterType, vmnet: String?}} adapter
+ * @returns {[String]}
+ */
+var networkAdapterArgs = function (adapter) {
+    if (typeof adapter !== 'object' || adapter === null) {
+        adapter = { type: adapter };
+    }
+
+    var type = resolveNetworkAdapterType(adapter.type);
+    if (!type) {
+        throw new TypeError('Unknown network adapter type: ' + adapter.type);
+    }
+
+    if (type === NetworkAdapterType.CUSTOM && !adapter.vmnet) {
+        throw new TypeError('A custom network adapter requires a vmnet');
     }
 
-    return dest;
+    var args = [type];
+    if (adapter.vmnet) {
+        args.push(adapter.vmnet);
+    }
+    return args;
 };
 
 /**
- * @constructor
+ * Parses the output of `listHostNetworks`
+ * @param {String} stdout
+ * @returns {[{index: Number, name: String, type: String, dhcp: Boolean, subnet: String|null, mask: String|null}]}
  */
-var VMRun = function () {};
+var parseHostNetworks = function (stdout) {
+    var networks = [];
+
+    var value = function (x) {
+        return (!x || x === 'empty') ? null : x;
+    };
+
+    stdout.split(/\r?\n/).forEach(function (line) {
+        var matches = line.trim().match(/^([0-9]+)\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+(\S+))?(?:\s+(\S+))?/);
+        if (matches) {
+            networks.push({
+                index: parseInt(matches[1], 10)
+                , name: matches[2]
+                , type: matches[3]
+                , dhcp: matches[4].toLowerCase() === 'true'
+                , subnet: value(matches[5])
+                , mask: value(matches[6])
+            });
+        }
+    });
+
+    return networks;
+};
 
 /**
- *
- * @param {Object?} options
- * @param {String?} options.vmrunPath
- * @param {String?} options.hostName
- * @param {Number?} options.hostPort
- * @param {VMWareHostType?} options.hostType
- * @param {String?} options.hostUsername
- * @param {String?} options.hostPassword
- * @param {String?} options.guestUsername
- * @param {String?} options.guestPassword
- * @param {String?} options.vmPassword
- * @returns {VMRun}
+ * Parses the output of `listPortForwardings`
+ * @param {String} stdout
+ * @returns {[{protocol: String, hostPort: Number, guestIp: String, guestPort: Number, description: String}]}
  */
-VMRun.prototype.setOptions = function (options) {
-    options = options || {};
-    var opts = {};
-    opts.vmrunPath = (options.vmrunPath || typeof options.vmrunPath === 'string')
-        ? escapeArg(options.vmrunPath)
-        : "vmrun";
-    opts.hostName = options.hostName || false;
-    opts.hostPort = options.hostPort || false;
-    opts.hostType = resolveHostType(options.hostType);
-    opts.hostUsername = options.hostUsername || false;
-    opts.hostPassword = (options.hostPassword || typeof options.hostPassword === 'string')
-        ? options.hostPassword
-        : false;
-    opts.guestUsername = options.guestUsername || false;
-    opts.guestPassword = (options.guestPassword || typeof options.guestPassword === 'string')
-        ? options.guestPassword
-        : false;
-    opts.vmPassword = options.vmPassword || false;
-    this._options = options;
-    return this;
+var parsePortForwardings = function (stdout) {
+    var forwardings = [];
+
+    stdout.split(/\r?\n/).forEach(function (line) {
+        line = line.trim().replace(/^\[?[0-9]+\]?\s*:\s*/, '');
+        if (!/protocol/i.test(line)) return;
+
+        var fields = {};
+        line.split(/,\s*(?=[a-zA-Z ]+[:=])/).forEach(function (pair) {
+            var matches = pair.match(/^\s*([a-zA-Z ]+?)\s*[:=]\s*(.*)$/);
+            if (matches) {
+                fields[matches[1].replace(/\s+/g, '').toLowerCase()] = matches[2].trim();
+            }
+        });
+
+        forwardings.push({
+            protocol: (fields.protocol || '').toLowerCase()
+            , hostPort: parseInt(fields.hostport, 10)
+            , guestIp: fields.guestip || ''
+            , guestPort: parseInt(fields.guestport, 10)
+            , description: fields.description || ''
+        });
+    });
+
+    return forwardings;
 };
 
 /**
- * @typedef {Object} VMRunOptions
- * @property {String|undefined} vmrunPath?
- * @property {String|undefined} hostName?
- * @property {String|Number|undefined} hostPort?
- * @property {VMWareHostType|undefined} hostType?
- * @property {String|undefined} hostUsername?
- * @property {String|undefined} hostPassword?
- * @property {String|undefined} guestUsername?
- * @property {String|undefined} guestPassword?
- * @property {String|undefined} vmPassword?
- *
+ * @param {String} protocol
+ * @returns {String}
  */
+var validProtocol = function (protocol) {
+    protocol = ((protocol || '') + '').toLowerCase();
+    if (protocol !== 'tcp' && protocol !== 'udp') {
+        throw new TypeError('Port forwarding protocol must be \'tcp\' or \'udp\'');
+    }
+    return protocol;
+};
 
-//noinspection JSUnusedGlobalSymbols
 /**
- * Returns a new VMRun instance with different options
- * @param {VMRunOptions?} options
- * @returns {VMRun} new VMRun instance
+ * @param {String|Number} port
+ * @param {String} name
+ * @returns {Number}
  */
-VMRun.prototype.withOptions = function (options) {
-    var instance = new VMRun();
-    return instance.setOptions(options);
+var validPort = function (port, name) {
+    var value = parseInt(port, 10);
+    if (!(value > 0 && value < 65536) || value + '' !== (port + '').trim()) {
+        throw new TypeError('Port forwarding ' + name + ' must be a port number');
+    }
+    return value;
 };
 
-//noinspection JSUnusedGlobalSymbols
 /**
- * Returns a new VMRun instance with different options, inheriting from current options
- * @param {VMRunOptions?} options
- * @returns {VMRun} new VMRun instance
+ * Parses the output of `listSnapshots` with `showTree`, where children are indented below their parent
+ * @param {String} stdout
+ * @returns {[SnapshotNode]}
  */
-VMRun.prototype.withModifiedOptions = function (options) {
-    var instance = new VMRun();
-    return instance.setOptions(extend(this._options, options));
+var parseSnapshotTree = function (stdout) {
+    var roots = [];
+    var stack = []; // { indent, node }
+
+    stdout.split(/\r?\n/).forEach(function (line) {
+        if (!line.trim() || /^Total snapshots/.test(line)) return;
+
+        var indent = line.match(/^\s*/)[0].replace(/\t/g, '        ').length;
+        var node = { name: line.trim(), children: [] };
+
+        while (stack.length && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+
+        if (stack.length) {
+            stack[stack.length - 1].node.children.push(node);
+        } else {
+            roots.push(node);
+        }
+
+        stack.push({ indent: indent, node: node });
+    });
+
+    return roots;
 };
 
 /**
- * Call a VMRun command
- * @param {String} command
- * @param {[String]?} args
- * @param {VMRunOptions?} options
- * @param {[String]?} unesc_args
- * @returns {Promise<{stdout, stderr}>}
+ * @param {[SnapshotNode]} tree
+ * @param {String} snapshotName A snapshot name, or a path of names separated by '/'
+ * @returns {[String]|null}
+ * @throws {InvalidSnapshotError} When more than one snapshot matches, with the paths of all of them in `matches`
  */
-VMRun.vmrunWithOptions = function (command, args, options, unesc_args) {
+var findSnapshotPath = function (tree, snapshotName) {
+    var wanted = (snapshotName + '').split('/');
+    var matches = [];
 
-    var runArgs = [];
+    var search = function (nodes, path) {
+        nodes.forEach(function (node) {
+            var nodePath = path.concat(node.name);
 
-    // Host arguments
-    runArgs.push('-T', resolveHostType(options.hostType));
-    if (options.hostName) {
-        runArgs.push('-h', options.hostName);
-    }
-    if (options.hostPort) {
-        runArgs.push('-P', options.hostPort);
-    }
-    if (options.hostUsername) {
-        runArgs.push('-u', options.hostUsername);
+            if (nodePath.slice(-wanted.length).join('/') === wanted.join('/')) {
+                matches.push(nodePath);
+            }
+
+            search(node.children, nodePath);
+        });
+    };
+
+    search(tree, []);
+
+    if (matches.length > 1) {
+        var err = new errors.InvalidSnapshotError('Snapshot "' + snapshotName + '" is ambiguous, it matches ' +
+            matches.map(function (path) {
+                return '"' + path.join('/') + '"';
+            }).join(', ') + '. Use a path of names separated by \'/\'.');
+        err.matches = matches;
+        throw err;
     }
-    if (options.hostPassword) {
-        runArgs.push('-p', options.hostPassword);
+
+    return matches[0] || null;
+};
+
+/** @enum {String} VMState */
+var VMState = {
+    OFF: 'off'
+    , SUSPENDED: 'suspended'
+    , RUNNING: 'running'
+    , TOOLS_RUNNING: 'tools-running'
+};
+
+/**
+ * @typedef {Object} VMStateInfo
+ * @property {VMState} state
+ * @property {String|null} toolsState The output of `checkToolsState`, when the VM is running
+ * @property {String|null} ipAddress The guest IP address, when the tools are running and the guest has one
+ */
+
+/**
+ * @param {VMState} current
+ * @param {VMState|[VMState]|function(VMStateInfo):Boolean} wanted
+ * @param {VMStateInfo} info
+ * @returns {Boolean}
+ */
+var matchesState = function (current, wanted, info) {
+    if (typeof wanted === 'function') {
+        return !!wanted(info);
     }
-    if (options.vmPassword) {
-        runArgs.push('-vp', options.vmPassword);
+
+    if (Array.isArray(wanted)) {
+        return wanted.some(function (x) {
+            return matchesState(current, x, info);
+        });
     }
-    if (options.guestUsername || options.guestPassword) {
-        runArgs.push('-gu', options.guestUsername || '');
-        runArgs.push('-gp', options.guestPassword || '');
+
+    // A VM with running tools is running too
+    return current === wanted || (wanted === VMState.RUNNING && current === VMState.TOOLS_RUNNING);
+};
+
+/**
+ * Waits go on after the errors which the default retry policy retries, as they pass during a boot or a shutdown
+ * @param {Error} err
+ * @returns {Boolean}
+ */
+var isTransientError = function (err) {
+    return retry.DEFAULT_POLICY.retryOn.some(function (ErrorClass) {
+        return err instanceof ErrorClass;
+    });
+};
+
+/**
+ * Normalizes a vmx path, so that paths to the same file compare equal the way the host file system would
+ * @param {String} path
+ * @returns {String}
+ */
+var pathKey = function (path) {
+    path = Path.resolve(path + '');
+    if (process.platform === 'win32' || process.platform === 'darwin') {
+        return path.toLowerCase();
     }
+    return path;
+};
 
-    // Command
-    runArgs.push(command);
+/**
+ * Compares two vmx paths the way the host file system would
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+var samePath = function (a, b) {
+    return pathKey(a) === pathKey(b);
+};
 
-    // Arguments
-    if (args) {
-        runArgs = runArgs.concat(args);
+/**
+ * Checks whether a powered off VM has a suspended state saved, by reading its vmx file.
+ * Vmx files which are not readable from here (i.e. on a remote host) are considered not suspended.
+ * @param {String} vmxFile
+ * @returns {Promise.<Boolean>}
+ */
+var isSuspended = function (vmxFile) {
+    return vmx.read(vmxFile)
+        .then(function (contents) {
+            return !!contents.get('checkpoint.vmState');
+        }, function () {
+            return false;
+        });
+};
+
+/**
+ * @param {String} path A path in the guest
+ * @returns {String} The last part of the path
+ */
+var guestBaseName = function (path) {
+    return path.slice(Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\')) + 1);
+};
+
+/**
+ * @param {String} cmd A command line, as listed by `listProcessesInGuest`
+ * @returns {String} The file name of the program, i.e. 'notepad.exe' for '"C:\\Windows\\notepad.exe" file.txt'
+ */
+var processName = function (cmd) {
+    var matches = (cmd + '').match(/^\s*(?:"([^"]*)"|(\S*))/);
+    return guestBaseName(matches[1] !== undefined ? matches[1] : matches[2]);
+};
+
+/**
+ * Windows guests ignore the case of program names and their '.exe' extension may be omitted
+ * @param {{cmd: String}} process
+ * @param {String} name
+ * @returns {Boolean}
+ */
+var hasProcessName = function (process, name) {
+    var actual = processName(process.cmd);
+    if (guestSeparator(process.cmd) === '/') {
+        return actual === name;
     }
 
-    for (var i = 0; i < runArgs.length; i++) {
-        runArgs[i] = escapeArg(runArgs[i]);
+    actual = actual.toLowerCase();
+    name = (name + '').toLowerCase();
+    return actual === name || actual === name + '.exe';
+};
+
+/**
+ * @param {{pid: Number, owner: String, cmd: String}} process
+ * @param {GuestProcessFilter} filter
+ * @returns {Boolean}
+ */
+var matchesProcess = function (process, filter) {
+    if (typeof filter === 'function') {
+        return !!filter(process);
     }
 
-    if (unesc_args) {
-        runArgs = runArgs.concat(unesc_args);
+    if (filter instanceof RegExp) {
+        return filter.test(process.cmd);
     }
 
-    if (VMRun.debug) {
-        console.warn('$ vmrun ' + runArgs.join(' '));
+    if (typeof filter === 'string') {
+        return hasProcessName(process, filter);
     }
 
-    return new Promise(function (resolve, reject) {
+    var test = function (pattern, value) {
+        return pattern instanceof RegExp ? pattern.test(value) : pattern === value;
+    };
+
+    return (filter.name === undefined || hasProcessName(process, filter.name)) &&
+        (filter.cmd === undefined || test(filter.cmd, process.cmd)) &&
+        (filter.owner === undefined || test(filter.owner, process.owner));
+};
 
-        child_process.exec(options.vmrunPath + ' ' + runArgs.join(' '), {}, function (err, stdout, stderr) {
+var validPath = function (path) {
+    return (path + '').replace(/[\/\\]*$/, '');
+};
 
-            if (err) {
-                if (/^Error: /.test(stderr || stdout)) {
-                    err.message = ((stderr || stdout).substr(7)).trim() + '\n    cmd: ' + err.cmd;
-                }
-                return reject(err);
-            }
+/**
+ * Guests may run Windows or a POSIX system, so the separator is guessed from a path in the guest
+ * @param {String} guestPath
+ * @returns {String}
+ */
+var guestSeparator = function (guestPath) {
+    return /^[a-zA-Z]:|\\/.test(guestPath) ? '\\' : '/';
+};
+
+/**
+ * @param {String} base A path in the guest
+ * @param {String} relativePath Using '/' as the separator
+ * @returns {String}
+ */
+var joinGuestPath = function (base, relativePath) {
+    if (!relativePath) return validPath(base);
+    var separator = guestSeparator(base);
+    return validPath(base) + separator + relativePath.split('/').join(separator);
+};
+
+/**
+ * @param {String} path A path in the guest
+ * @returns {String} The parent directory, or '' for a relative path without one
+ */
+var guestDirName = function (path) {
+    path = validPath(path);
+    var idx = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'));
+    return idx === -1 ? '' : (path.substr(0, idx) || '/');
+};
+
+/**
+ * @param {String} path A path in the guest
+ * @returns {Boolean} Whether it is a root, which always exists, i.e. '/' or 'C:\\'
+ */
+var isGuestRoot = function (path) {
+    return /^(|[a-zA-Z]:)$/.test(validPath(path));
+};
+
+/**
+ * @param {Object|String|undefined} options Options, or an encoding as with `fs.promises.readFile`
+ * @returns {Object}
+ */
+var encodingOptions = function (options) {
+    return typeof options === 'string' ? { encoding: options } : options || {};
+};
+
+/**
+ * @param {String} relativePath
+ * @returns {String} The relative path of the parent directory, or '' for the root
+ */
+var parentOf = function (relativePath) {
+    var idx = relativePath.lastIndexOf('/');
+    return idx === -1 ? '' : relativePath.substr(0, idx);
+};
+
+/**
+ * Applies the `include` patterns of a directory copy to a walked tree.
+ * When there are `include` patterns, only directories leading to included files are kept.
+ * @param {{directories: [String], files: [String]}} tree
+ * @param {[String]?} include
+ * @returns {{directories: [String], files: [String]}}
+ */
+var filterTree = function (tree, include) {
+    if (!include || !include.length) return tree;
+
+    var files = tree.files.filter(function (file) {
+        return glob.matches(file, include);
+    });
+
+    var needed = {};
+    files.forEach(function (file) {
+        for (var dir = parentOf(file); dir; dir = parentOf(dir)) {
+            needed[dir] = true;
+        }
+    });
+
+    return {
+        directories: tree.directories.filter(function (dir) {
+            return needed[dir];
+        }),
+        files: files
+    };
+};
+
+/**
+ * Groups relative directory paths by depth, so parents can be created before their children
+ * @param {[String]} directories
+ * @returns {[[String]]}
+ */
+var byDepth = function (directories) {
+    var levels = [];
+    directories.forEach(function (dir) {
+        var depth = dir.split('/').length - 1;
+        (levels[depth] = levels[depth] || []).push(dir);
+    });
+    return levels.filter(Boolean);
+};
+
+/**
+ * Walks a directory on the host, skipping anything matching `exclude`.
+ * Symlinked directories are followed, except those leading back to a directory being walked, which would loop.
+ * @param {String} root
+ * @param {[String]?} exclude
+ * @param {Number} limit How many file system calls run at once
+ * @returns {Promise.<{directories: [String], files: [String]}>} Paths relative to root, using '/' as the separator
+ */
+var walkHostDirectory = function (root, exclude, limit) {
+    var tree = { directories: [], files: [] };
+    var run = concurrency.limiter(limit);
+
+    // `ancestors` has the real paths of the directory and its parents
+    var walk = function (relativeDir, ancestors) {
+        return run(function () {
+            return fs.promises.readdir(Path.join(root, relativeDir), { withFileTypes: true });
+        })
+            .then(function (entries) {
+                return Promise.all(entries.map(function (entry) {
+                    var relativePath = relativeDir ? relativeDir + '/' + entry.name : entry.name;
+                    if (glob.matches(relativePath, exclude)) return;
+
+                    var realPath = entry.isSymbolicLink()
+                        ? run(function () {
+                            return Promise.all([
+                                fs.promises.stat(Path.join(root, relativePath)),
+                                fs.promises.realpath(Path.join(root, relativePath))
+                            ]);
+                        }).then(function (results) {
+                            return results[0].isDirectory() ? results[1] : null;
+                        })
+                        : Promise.resolve(entry.isDirectory() ? Path.join(ancestors[ancestors.length - 1], entry.name) : null);
+
+                    return realPath.then(function (realPath) {
+                        if (realPath === null) {
+                            tree.files.push(relativePath);
+                            return;
+                        }
+
+                        if (ancestors.indexOf(realPath) !== -1) return;
+
+                        tree.directories.push(relativePath);
+                        return walk(relativePath, ancestors.concat(realPath));
+                    });
+                }));
+            });
+    };
+
+    return fs.promises.realpath(root)
+        .then(function (realRoot) {
+            return walk('', [realRoot]);
+        })
+        .then(function () {
+            tree.directories.sort();
+            tree.files.sort();
+            return tree;
+        });
+};
+
+/**
+ * Runs `fn` with a new temporary directory on the host, which is removed afterwards
+ * @param {function(String):Promise} fn
+ * @returns {Promise}
+ */
+var withHostTempDir = function (fn) {
+    return fs.promises.mkdtemp(Path.join(os.tmpdir(), 'vmrun-'))
+        .then(function (dir) {
+            var cleanup = function () {
+                return fs.promises.rm(dir, { recursive: true, force: true })
+                    .catch(function () {});
+            };
+
+            return Promise.resolve()
+                .then(function () {
+                    return fn(dir);
+                })
+                .then(function (result) {
+                    return cleanup().then(function () {
+                        return result;
+                    });
+                }, function (err) {
+                    return cleanup().then(function () {
+                        throw err;
+                    });
+                });
+        });
+};
 
-            return resolve({ stdout: stdout, stderr: stderr });
+// Commands which do not take a vmx file as their first argument
+var NO_VMX_COMMANDS = [
+    'list', 'listregisteredvm', 'listhostnetworks', 'listportforwardings', 'setportforwarding', 'deleteportforwarding'
+];
+
+// Shared by all instances, as the cap is on the processes running on this machine
+var scheduler = new concurrency.Scheduler();
+
+var isString = function (value) {
+    return typeof value === 'string' ? null : 'a string';
+};
+
+var isBoolean = function (value) {
+    return typeof value === 'boolean' ? null : 'a boolean';
+};
+
+var isNonNegativeNumber = function (value) {
+    return (typeof value === 'number' && value >= 0 && isFinite(value)) ? null : 'a non-negative number';
+};
+
+// Validators for every known option, returning a description of the expected type when the value is invalid
+var OPTION_VALIDATORS = {
+    vmrunPath: isString,
+    hostName: isString,
+    hostPort: function (value) {
+        var port = typeof value === 'string' && /^[0-9]+$/.test(value) ? parseInt(value, 10) : value;
+        return (typeof port === 'number' && port > 0 && port < 65536 && port % 1 === 0) ? null : 'a port number';
+    },
+    hostType: isString,
+    hostUsername: isString,
+    hostPassword: isString,
+    guestUsername: isString,
+    guestPassword: isString,
+    vmPassword: isString,
+    timeout: isNonNegativeNumber,
+    maxBuffer: isNonNegativeNumber,
+    debug: isBoolean,
+    autoDiscover: isBoolean,
+    checkCapabilities: isBoolean,
+    maxConcurrency: isNonNegativeNumber,
+    serializePerVM: isBoolean,
+    retry: retry.validatePolicy,
+    executor: function (value) {
+        return typeof value === 'function' ? null : 'a function';
+    },
+    logger: function (value) {
+        return (value && typeof value.debug === 'function' && typeof value.warn === 'function')
+            ? null
+            : 'an object with debug() and warn() methods';
+    }
+};
+
+/**
+ * Throws a `TypeError` for unknown options and values of the wrong type.
+ * `undefined` and `null` are accepted for all options, meaning "not set".
+ * @param {Object} options
+ */
+var validateOptions = function (options) {
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new TypeError('VMRun options must be an object');
+    }
+
+    Object.keys(options).forEach(function (key) {
+        var validator = OPTION_VALIDATORS[key];
+
+        if (!validator) {
+            var similar = Object.keys(OPTION_VALIDATORS).filter(function (known) {
+                return known.toLowerCase() === key.toLowerCase();
+            })[0];
+            throw new TypeError('Unknown VMRun option "' + key + '"' + (similar ? ', did you mean "' + similar + '"?' : ''));
+        }
+
+        var value = options[key];
+        if (value === undefined || value === null) return;
+
+        var expected = validator(value);
+        if (expected) {
+            throw new TypeError('VMRun option "' + key + '" must be ' + expected);
+        }
+    });
+};
+
+var warnedHostTypes = {};
+
+/**
+ * Resolves validated options into the values used for running commands
+ * @param {VMRunOptions} options
+ * @returns {Object}
+ */
+var normalizeOptions = function (options) {
+    var logger = options.logger || DEFAULT_LOGGER;
+    var secret = function (value) {
+        return typeof value === 'string' ? value : null;
+    };
+
+    return {
+        // With auto discovery, the path is found when running the first command
+        vmrunPath: unquotePath(options.vmrunPath) || (options.autoDiscover ? null : 'vmrun'),
+        autoDiscover: !!options.autoDiscover,
+        checkCapabilities: !!options.checkCapabilities,
+        maxConcurrency: options.maxConcurrency || 0,
+        serializePerVM: !!options.serializePerVM,
+        retry: options.retry === true ? {} : options.retry || null,
+        executor: options.executor || null,
+        hostName: options.hostName || null,
+        hostPort: options.hostPort ? parseInt(options.hostPort, 10) : null,
+        hostType: resolveHostType(options.hostType, function (message) {
+            // Once per value, as instances inheriting the options would repeat it
+            if (warnedHostTypes[options.hostType]) return;
+            warnedHostTypes[options.hostType] = true;
+            logger.warn(message);
+        }),
+        hostUsername: options.hostUsername || null,
+        hostPassword: secret(options.hostPassword),
+        guestUsername: options.guestUsername || null,
+        guestPassword: secret(options.guestPassword),
+        vmPassword: options.vmPassword || null,
+        timeout: options.timeout || 0,
+        maxBuffer: options.maxBuffer || spawn.DEFAULT_MAX_BUFFER,
+        debug: !!options.debug,
+        logger: logger
+    };
+};
+
+/**
+ * @constructor
+ * @param {VMRunOptions?} options
+ */
+var VMRun = function (options) {
+    EventEmitter.call(this);
+
+    // The instance this one was created from, which also gets its events and runs its hooks
+    this._parent = null;
+    this._hooks = { before: [], after: [] };
+    this.setOptions(options);
+};
+util.inherits(VMRun, EventEmitter);
+
+/**
+ * Replaces the options of this instance. Throws a `TypeError` for unknown options or values of the wrong type.
+ * @param {Object?} options
+ * @param {String?} options.vmrunPath
+ * @param {String?} options.hostName
+ * @param {Number?} options.hostPort
+ * @param {VMWareHostType?} options.hostType
+ * @param {String?} options.hostUsername
+ * @param {String?} options.hostPassword
+ * @param {String?} options.guestUsername
+ * @param {String?} options.guestPassword
+ * @param {String?} options.vmPassword
+ * @param {Number?} options.timeout Milliseconds before a vmrun process is killed, 0 for no timeout
+ * @param {Number?} options.maxBuffer Largest amount of data allowed on stdout or stderr, in bytes
+ * @param {Boolean?} options.debug Log every command line, same as `VMRun.debug` but for this instance
+ * @param {{debug: Function, warn: Function}?} options.logger Replaces `console.warn` for logging
+ * @param {Boolean?} options.autoDiscover When `vmrunPath` is not set, look for vmrun (see `discoverVMRun`)
+ *   instead of relying on it being in the `PATH`
+ * @param {Boolean?} options.checkCapabilities Reject commands which the vmrun version or the host type does not support
+ *   with a `VMRunUnsupportedError`, before running them (see `getCapabilities`)
+ * @param {Number?} options.maxConcurrency Most vmrun processes running at once, shared by all instances. 0 for no limit
+ * @param {Boolean?} options.serializePerVM Queue commands on the same vmx file, running them one at a time (see `getQueueStats`)
+ * @param {RetryPolicy|Boolean?} options.retry Retry commands which fail with transient errors,
+ *   except non-idempotent ones like `snapshot` and `clone`. `true` for the default policy
+ * @param {VMRunExecutor?} options.executor Runs vmrun instead of spawning it, i.e. a `FakeVMRun` executor for tests
+ * @returns {VMRun}
+ */
+VMRun.prototype.setOptions = function (options) {
+    options = options || {};
+    validateOptions(options);
+
+    // The options as given are kept for inheritance, the normalized ones are used for running commands
+    this._rawOptions = Object.freeze(extend({}, options));
+    this._options = Object.freeze(normalizeOptions(this._rawOptions));
+    return this;
+};
+
+/**
+ * @typedef {Object} VMRunOptions
+ * @property {String|undefined} vmrunPath?
+ * @property {String|undefined} hostName?
+ * @property {String|Number|undefined} hostPort?
+ * @property {VMWareHostType|undefined} hostType?
+ * @property {String|undefined} hostUsername?
+ * @property {String|undefined} hostPassword?
+ * @property {String|undefined} guestUsername?
+ * @property {String|undefined} guestPassword?
+ * @property {String|undefined} vmPassword?
+ * @property {Number|undefined} timeout?
+ * @property {Number|undefined} maxBuffer?
+ * @property {Boolean|undefined} debug?
+ * @property {{debug: Function, warn: Function}|undefined} logger?
+ * @property {Boolean|undefined} autoDiscover?
+ * @property {Boolean|undefined} checkCapabilities?
+ * @property {Number|undefined} maxConcurrency?
+ * @property {Boolean|undefined} serializePerVM?
+ * @property {RetryPolicy|Boolean|undefined} retry?
+ * @property {VMRunExecutor|undefined} executor?
+ *
+ */
+
+//noinspection JSUnusedGlobalSymbols
+/**
+ * Returns a new VMRun instance with different options
+ * @param {VMRunOptions?} options
+ * @returns {VMRun} new VMRun instance
+ */
+VMRun.prototype.withOptions = function (options) {
+    var vmrun = new VMRun(options);
+    vmrun._parent = this;
+    return vmrun;
+};
+
+//noinspection JSUnusedGlobalSymbols
+/**
+ * Returns a new VMRun instance with different options, inheriting from current options.
+ * The options of the current instance are left untouched.
+ * @param {VMRunOptions?} options
+ * @returns {VMRun} new VMRun instance
+ */
+VMRun.prototype.withModifiedOptions = function (options) {
+    var vmrun = new VMRun(extend({}, this._rawOptions, options));
+    vmrun._parent = this;
+    return vmrun;
+};
+
+//noinspection JSUnusedGlobalSymbols
+/**
+ * Returns a handle bound to a vmx file, exposing all the methods that take a `vmxFile` without it
+ * @param {String} vmxFile
+ * @param {VMRunOptions?} options Options for this VM (i.e. guest credentials), inheriting from the current options
+ * @returns {VirtualMachine}
+ */
+VMRun.prototype.vm = function (vmxFile, options) {
+    return new VirtualMachine(options ? this.withModifiedOptions(options) : this, vmxFile);
+};
+
+/**
+ * Looks for a working vmrun binary: the `VMRUN_PATH` environment variable if set,
+ * otherwise the `PATH` followed by the standard VMware install locations of the host platform.
+ * Every candidate is checked by running it and reading its version. The result is cached.
+ * @param {Object?} options
+ * @param {Object?} options.env Defaults to `process.env`
+ * @param {String?} options.platform Defaults to `process.platform`
+ * @param {Boolean?} options.refresh Ignore a cached result
+ * @param {function(String):Promise?} options.probe Checks a candidate, resolving to `{path, version, build}` or null.
+ *   Defaults to running it.
+ * @returns {Promise.<{path: String, version: String|null, build: String|null}>}
+ *   Rejects with a `VMRunNotFoundError` listing the locations tried in `tried`
+ */
+VMRun.prototype.discoverVMRun = function (options) {
+    return discovery.discover(options);
+};
+
+/**
+ * Resolves the vmrun binary to run, discovering it when needed
+ * @param {Object} options Normalized options
+ * @returns {Promise.<String>}
+ */
+var resolveVMRunPath = function (options) {
+    if (!options.vmrunPath && options.autoDiscover) {
+        return discovery.discover()
+            .then(function (found) {
+                return found.path;
+            });
+    }
+
+    return Promise.resolve(options.vmrunPath || 'vmrun');
+};
+
+/**
+ * @typedef {Object} VMRunCapabilities
+ * @property {String} vmrunPath
+ * @property {String|null} version
+ * @property {String|null} build
+ * @property {VMWareHostType} hostType
+ * @property {[String]} commands Commands listed in vmrun's usage, empty if it could not be parsed
+ * @property {[String]} unsupported Commands which vmrun lists, but the host type does not support
+ */
+
+/**
+ * Reads the version and the supported commands of vmrun, by parsing its usage.
+ * The result is cached per `vmrunPath`.
+ * @param {Object?} options
+ * @param {Boolean?} options.refresh Ignore a cached result
+ * @returns {Promise.<VMRunCapabilities>}
+ */
+VMRun.prototype.getCapabilities = function (options) {
+    var self = this;
+    options = options || {};
+
+    return resolveVMRunPath(self._options)
+        .then(function (vmrunPath) {
+            return capabilities.getCapabilities(vmrunPath, {
+                refresh: options.refresh,
+                executor: self._options.executor
+            })
+                .then(function (caps) {
+                    return {
+                        vmrunPath: vmrunPath,
+                        version: caps.version,
+                        build: caps.build,
+                        hostType: self._options.hostType,
+                        commands: caps.commands.slice(),
+                        unsupported: (capabilities.HOST_TYPE_UNSUPPORTED[self._options.hostType] || []).slice()
+                    };
+                });
+        });
+};
+
+/**
+ * Checks whether a vmrun command is supported by the vmrun version and the host type
+ * @param {String} command i.e. 'listSnapshots'
+ * @returns {Promise.<Boolean>}
+ */
+VMRun.prototype.supportsCommand = function (command) {
+    var self = this;
+
+    return resolveVMRunPath(self._options)
+        .then(function (vmrunPath) {
+            return capabilities.getCapabilities(vmrunPath, { executor: self._options.executor });
+        })
+        .then(function (caps) {
+            return !capabilities.unsupportedReason(caps, command, self._options.hostType);
+        });
+};
+
+/**
+ * Monitoring of the commands waiting for `maxConcurrency` or for another command on the same VM (`serializePerVM`).
+ * Shared by all instances.
+ * @returns {{running: Number, waiting: Number, started: Number, averageWait: Number, maxWait: Number,
+ *   queues: Object<String, {running: Boolean, waiting: Number}>}} Wait times are in milliseconds, queues are per vmx file
+ */
+VMRun.prototype.getQueueStats = function () {
+    return scheduler.stats();
+};
+
+/**
+ * Runs vmrun, resolving to its output. On failure, it rejects the way `child_process.exec` does:
+ * with an error carrying the exit `code` (or a string like 'ENOENT'), `stdout` and `stderr`, named 'AbortError' when aborted.
+ * @typedef {function(String, [String], {signal: AbortSignal|undefined, maxBuffer: Number|undefined}):Promise.<{stdout: String, stderr: String}>} VMRunExecutor
+ */
+
+/**
+ * @typedef {Object} VMRunCallOptions
+ * @property {Number|undefined} timeout? Milliseconds before the vmrun process is killed, overrides the global `timeout`
+ * @property {AbortSignal|undefined} signal? Kills the vmrun process when aborted
+ * @property {Number|undefined} maxBuffer? Overrides the global `maxBuffer`
+ * @property {RetryPolicy|Boolean|undefined} retry? Overrides the global `retry`, and applies to non-idempotent commands too
+ */
+
+/**
+ * Call a VMRun command
+ * @param {String} command
+ * @param {[String]?} args
+ * @param {VMRunOptions?} options
+ * @param {[String]?} unesc_args Arguments that are appended as-is, after the regular arguments
+ * @param {VMRunCallOptions?} callOptions
+ * @returns {Promise<{stdout, stderr}>}
+ */
+VMRun.vmrunWithOptions = function (command, args, options, unesc_args, callOptions) {
+
+    options = options || {};
+    callOptions = callOptions || {};
+
+    var runArgs = [];
+
+    // Host arguments
+    runArgs.push('-T', resolveHostType(options.hostType));
+    if (options.hostName) {
+        runArgs.push('-h', options.hostName);
+    }
+    if (options.hostPort) {
+        runArgs.push('-P', options.hostPort);
+    }
+    if (options.hostUsername) {
+        runArgs.push('-u', options.hostUsername);
+    }
+    if (options.hostPassword) {
+        runArgs.push('-p', options.hostPassword);
+    }
+    if (options.vmPassword) {
+        runArgs.push('-vp', options.vmPassword);
+    }
+    if (options.guestUsername || options.guestPassword) {
+        runArgs.push('-gu', options.guestUsername || '');
+        runArgs.push('-gp', options.guestPassword || '');
+    }
+
+    // Command
+    runArgs.push(command);
+
+    // Arguments
+    if (args) {
+        runArgs = runArgs.concat(args);
+    }
+
+    if (unesc_args) {
+        runArgs = runArgs.concat(unesc_args);
+    }
+
+    for (var i = 0; i < runArgs.length; i++) {
+        runArgs[i] = runArgs[i] === undefined ? '' : runArgs[i] + '';
+    }
+
+    var secrets = redact.getSecrets(options);
+    var redactedArgs = redact.redactArgs(runArgs).map(function (arg) {
+        return redact.redactText(arg, secrets);
+    });
+
+    if (VMRun.debug || options.debug) {
+        (options.logger || DEFAULT_LOGGER).debug('$ vmrun ' + redactedArgs.map(escapeArg).join(' '));
+    }
+
+    var execute = function (vmrunPath) {
+        var cmd = escapeArg(vmrunPath) + ' ' + redactedArgs.map(escapeArg).join(' ');
+
+        var timeout = callOptions.timeout !== undefined ? callOptions.timeout : options.timeout;
+        var maxBuffer = callOptions.maxBuffer || options.maxBuffer || spawn.DEFAULT_MAX_BUFFER;
+        var signal = callOptions.signal;
+        var controller = null, timer = null, timedOut = false;
+
+        var abort = function () {
+            controller.abort();
+        };
+
+        if (timeout > 0) {
+            controller = new AbortController();
+            timer = setTimeout(function () {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+
+            if (signal) {
+                if (signal.aborted) {
+                    controller.abort();
+                } else {
+                    signal.addEventListener('abort', abort);
+                }
+            }
+        }
+
+        var done = function () {
+            clearTimeout(timer);
+            if (controller && callOptions.signal) {
+                callOptions.signal.removeEventListener('abort', abort);
+            }
+        };
+
+        var details = function (err) {
+            return {
+                command: command,
+                args: redactedArgs,
+                cmd: cmd,
+                exitCode: err ? err.code : 0,
+                stdout: err ? err.stdout : '',
+                stderr: err ? err.stderr : ''
+            };
+        };
+
+        return (options.executor || spawn.spawnProcess)(vmrunPath, runArgs, {
+            signal: controller ? controller.signal : signal,
+            maxBuffer: maxBuffer
+        }).then(function (std) {
+            done();
+            return std;
+        }, function (err) {
+            done();
+
+            var error;
+
+            if (timedOut) {
+                error = new errors.VMRunTimeoutError(
+                    'vmrun timed out after ' + timeout + 'ms\n    cmd: ' + cmd,
+                    details(err));
+            } else if (err.name === 'AbortError') {
+                error = new errors.VMRunAbortError(
+                    'vmrun was aborted\n    cmd: ' + cmd,
+                    details(err));
+            } else if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+                error = new errors.VMRunError(
+                    err.message + '\n    cmd: ' + cmd,
+                    details(err));
+            } else {
+                var errorDetails = details(err);
+                errorDetails.message = err.message;
+                error = errors.createError(errorDetails);
+            }
+
+            throw redact.redactError(error, secrets);
+        });
+    };
+
+    var schedule = function (vmrunPath) {
+        var perVM = options.serializePerVM && args && args.length &&
+            NO_VMX_COMMANDS.indexOf(command.toLowerCase()) === -1;
+
+        return scheduler.schedule({
+            key: perVM ? pathKey(unquotePath(args[0] + '')) : null,
+            limit: options.maxConcurrency,
+            signal: callOptions.signal
+        }, function () {
+            return execute(vmrunPath);
+        }).catch(function (err) {
+            if (err.name === 'AbortError') {
+                throw new errors.VMRunAbortError('vmrun was aborted while queued\n    command: ' + command, {
+                    command: command,
+                    args: redactedArgs
+                });
+            }
+            throw err;
+        });
+    };
+
+    var run = function (vmrunPath) {
+        var policy = retry.resolvePolicy(options.retry,
+            callOptions.retry === true ? {} : callOptions.retry, command);
+
+        return retry.withRetry(policy, function () {
+            return schedule(vmrunPath);
+        }, {
+            signal: callOptions.signal,
+            onRetry: function (err, attempt, ms) {
+                if (VMRun.debug || options.debug) {
+                    (options.logger || DEFAULT_LOGGER).debug('vmrun ' + command + ' failed (attempt ' + attempt + '), retrying in ' + ms + 'ms: ' + err.message);
+                }
+            }
+        });
+    };
+
+    var checkAndExecute = function (vmrunPath) {
+        if (!options.checkCapabilities) {
+            return run(vmrunPath);
+        }
+
+        return capabilities.getCapabilities(vmrunPath, { executor: options.executor })
+            .then(function (caps) {
+                var reason = capabilities.unsupportedReason(caps, command, options.hostType);
+                if (reason) {
+                    throw new errors.VMRunUnsupportedError('"' + command + '" is ' + reason, {
+                        command: command,
+                        args: redactedArgs
+                    });
+                }
+
+                return run(vmrunPath);
+            });
+    };
+
+    return resolveVMRunPath(extend({}, options, { vmrunPath: unquotePath(options.vmrunPath) }))
+        .then(checkAndExecute);
+};
+
+/**
+ * Call a VMRun command, running the `beforeCommand` and `afterCommand` hooks around it.
+ * Emits `command:start`, then `command:success` or `command:error`, on this instance and the ones it was created from.
+ * @param {String} command
+ * @param {[String]?} args
+ * @param {[String]?} unesc_args Arguments that are appended as-is, after the regular arguments
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise<{stdout, stderr}>}
+ */
+VMRun.prototype.vmrun = function (command, args, unesc_args, options) {
+    var self = this;
+    var chain = self._chain();
+    var secrets = redact.getSecrets(self._options);
+    var startTime = Date.now();
+
+    var context = {
+        command: command,
+        args: args || [],
+        unescapedArgs: unesc_args || [],
+        options: options || {},
+        startTime: startTime
+    };
+
+    var redactedArgs = function () {
+        return redact.redactArgs(context.args.concat(context.unescapedArgs).map(function (arg) {
+            return arg === undefined ? '' : arg + '';
+        })).map(function (arg) {
+            return redact.redactText(arg, secrets);
+        });
+    };
+
+    var runHooks = function (type) {
+        return chain.reduce(function (promise, vmrun) {
+            return vmrun._hooks[type].reduce(function (promise, hook) {
+                return promise.then(function () {
+                    return hook(context);
+                });
+            }, promise);
+        }, Promise.resolve());
+    };
+
+    var emit = function (event, payload) {
+        chain.forEach(function (vmrun) {
+            vmrun.emit(event, payload);
+        });
+    };
+
+    return runHooks('before')
+        .then(function () {
+            emit('command:start', {
+                command: context.command,
+                args: redactedArgs()
+            });
+
+            return VMRun.vmrunWithOptions(context.command, context.args, self._options, context.unescapedArgs, context.options);
+        })
+        .then(function (std) {
+            context.duration = Date.now() - startTime;
+            context.result = std;
+
+            return runHooks('after')
+                .then(function () {
+                    emit('command:success', {
+                        command: context.command,
+                        args: redactedArgs(),
+                        duration: context.duration,
+                        stdout: redact.redactText(std.stdout, secrets),
+                        stderr: redact.redactText(std.stderr, secrets)
+                    });
+                    return std;
+                });
+        }, function (err) {
+            context.duration = Date.now() - startTime;
+            context.error = err;
+
+            return runHooks('after')
+                .then(function () {
+                    emit('command:error', {
+                        command: context.command,
+                        args: redactedArgs(),
+                        duration: context.duration,
+                        error: err,
+                        stdout: redact.redactText(err.stdout, secrets),
+                        stderr: redact.redactText(err.stderr, secrets)
+                    });
+                    throw err;
+                });
+        });
+};
+
+/**
+ * This instance and the ones it was created from, root first
+ * @returns {[VMRun]}
+ */
+VMRun.prototype._chain = function () {
+    var chain = [];
+    for (var vmrun = this; vmrun; vmrun = vmrun._parent) {
+        chain.unshift(vmrun);
+    }
+    return chain;
+};
+
+/**
+ * @typedef {Object} VMRunCommandContext
+ * @property {String} command
+ * @property {[String]} args Not redacted, hooks running before the command may change them
+ * @property {[String]} unescapedArgs
+ * @property {VMRunCallOptions} options
+ * @property {Number} startTime
+ * @property {Number|undefined} duration? Milliseconds, after the command
+ * @property {{stdout, stderr}|undefined} result? After the command succeeded
+ * @property {Error|undefined} error? After the command failed
+ */
+
+/**
+ * Adds a hook which runs before every command of this instance and of the instances created from it.
+ * Rejecting fails the command without running it.
+ * @param {function(VMRunCommandContext):(Promise|*)} hook
+ * @returns {VMRun}
+ */
+VMRun.prototype.beforeCommand = function (hook) {
+    this._hooks.before.push(hook);
+    return this;
+};
+
+/**
+ * Adds a hook which runs after every command of this instance and of the instances created from it,
+ * whether it succeeded or failed. Rejecting fails the command.
+ * @param {function(VMRunCommandContext):(Promise|*)} hook
+ * @returns {VMRun}
+ */
+VMRun.prototype.afterCommand = function (hook) {
+    this._hooks.after.push(hook);
+    return this;
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {Boolean} gui=false Should the gui be visible or not?
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.start = function (vmxFile, gui, options) {
+    return this.vmrun('start', [vmxFile, gui ? 'gui' : 'nogui'], null, options);
+};
+
+/**
+ * Hardware shutdown
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<Boolean>} Promise resolved to whether the machine was on or not
+ */
+VMRun.prototype.poweroff = VMRun.prototype.powerOff = function (vmxFile, options) {
+    return this.vmrun('stop', [vmxFile, 'hard'], null, options)
+        .then(function () {
+            return true;
+        })
+        .catch(function (err) {
+            if (err instanceof errors.VMNotPoweredOnError) {
+                return false;
+            }
+            throw err;
+        });
+};
+
+/**
+ * Softwaree shutdown
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.shutdown = function (vmxFile, options) {
+    return this.vmrun('stop', [vmxFile, 'soft'], null, options);
+};
+
+/**
+ * Hardware restart
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.reset = function (vmxFile, options) {
+    return this.vmrun('reset', [vmxFile, 'hard'], null, options);
+};
+
+/**
+ * Software restart
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.restart = function (vmxFile, options) {
+    return this.vmrun('reset', [vmxFile, 'soft'], null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {Boolean?} hard=false
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.suspend = function (vmxFile, hard, options) {
+    return this.vmrun('suspend', [vmxFile, hard ? 'hard' : 'soft'], null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.pause = function (vmxFile, options) {
+    return this.vmrun('pause', [vmxFile], null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.unpause = function (vmxFile, options) {
+    return this.vmrun('unpause', [vmxFile], null, options);
+};
+
+/**
+ * @typedef {Object} SnapshotNode
+ * @property {String} name
+ * @property {[SnapshotNode]} children
+ */
+
+/**
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @param {Boolean} options.showTree=false Resolve to a tree of `SnapshotNode`s instead of a flat list of names
+ * @returns {Promise.<[String]|[SnapshotNode]>}
+ */
+VMRun.prototype.listSnapshots = function (vmxFile, options) {
+    var showTree = !!(options && options.showTree);
+    var args = [vmxFile];
+    if (showTree) {
+        args.push('showTree');
+    }
+
+    return this.vmrun('listSnapshots', args, null, options)
+        .then(function (std) {
+
+            if (showTree) {
+                return parseSnapshotTree(std.stdout);
+            }
+
+            var idx = std.stdout.indexOf('Total snapshots');
+            if (idx > -1) {
+                idx = std.stdout.indexOf('\n', idx);
+            }
+
+            var list = std.stdout.substr(idx).trim().split('\n');
+            idx = list.indexOf('');
+            if (idx > -1) {
+                list.splice(idx, 1);
+            }
+
+            return list;
+        });
+};
+
+/**
+ * Finds the path of a snapshot in the snapshot tree.
+ * When several snapshots have the name, it rejects with an `InvalidSnapshotError` whose `matches` has all their paths,
+ * rather than picking one - pass enough of the path to tell them apart.
+ * @param {String} vmxFile
+ * @param {String} snapshotName A snapshot name, or a path of names separated by '/'
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[String]|null>} Names from the root snapshot down to the snapshot, or null if not found
+ */
+VMRun.prototype.findSnapshotPath = function (vmxFile, snapshotName, options) {
+    return this.listSnapshots(vmxFile, extend({}, options, { showTree: true }))
+        .then(function (tree) {
+            return findSnapshotPath(tree, snapshotName);
+        });
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} snapshotName A snapshot name, or a path of names separated by '/'
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<Boolean>} True for an ambiguous name too, which `revertToSnapshot` and `deleteSnapshot` would reject
+ */
+VMRun.prototype.snapshotExists = function (vmxFile, snapshotName, options) {
+    return this.findSnapshotPath(vmxFile, snapshotName, options)
+        .then(function (path) {
+            return path !== null;
+        }, function (err) {
+            if (err instanceof errors.InvalidSnapshotError && err.matches) {
+                return true;
+            }
+            throw err;
+        });
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} snapshotName
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.snapshot = function (vmxFile, snapshotName, options) {
+    return this.vmrun('snapshot', [vmxFile, snapshotName], null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} snapshotName
+ * @param {Boolean?} deleteChildren=false
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.deleteSnapshot = function (vmxFile, snapshotName, deleteChildren, options) {
+    var args = [vmxFile, snapshotName];
+    if (deleteChildren) {
+        args.push('andDeleteChildren');
+    }
+    return this.vmrun('deleteSnapshot', args, null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} snapshotName
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.revertToSnapshot = function (vmxFile, snapshotName, options) {
+    return this.vmrun('revertToSnapshot', [vmxFile, snapshotName], null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} pathToProgram
+ * @param {[String]} programArgs
+ * @param {VMRunCallOptions?} options
+ * @param {Boolean} options.noWait=false
+ * @param {Boolean} options.activeWindow=false
+ * @param {Boolean} options.interactive=false
+ * @param {[String]?} unesc_args
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.runProgramInGuest = function (vmxFile, pathToProgram, programArgs, options, unesc_args) {
+    var args = [vmxFile];
+    if (options) {
+        if (options.noWait) {
+            args.push('-noWait');
+        }
+        if (options.activeWindow) {
+            args.push('-activeWindow');
+        }
+        if (options.interactive) {
+            args.push('-interactive');
+        }
+    }
+    args.push(validPath(pathToProgram));
+    if (programArgs) {
+        args = args.concat(programArgs);
+    }
+    return this.vmrun('runProgramInGuest', args, unesc_args, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} path
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<Boolean>}
+ */
+VMRun.prototype.fileExistsInGuest = function (vmxFile, path, options) {
+    return this.vmrun('fileExistsInGuest', [vmxFile, validPath(path)], null, options)
+        .then(function (std) {
+
+            return std.stdout.indexOf('file exists') > -1;
+        });
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} path
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<Boolean>}
+ */
+VMRun.prototype.directoryExistsInGuest = function (vmxFile, path, options) {
+    return this.vmrun('directoryExistsInGuest', [vmxFile, validPath(path)], null, options)
+        .then(function (std) {
+
+            return std.stdout.indexOf('directory exists') > -1;
+        });
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} shareName
+ * @param {String} hostPath
+ * @param {Boolean?} writable=true
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.setSharedFolderState = function (vmxFile, shareName, hostPath, writable, options) {
+    return this
+        .vmrun('setSharedFolderState', [
+            vmxFile,
+            shareName,
+            hostPath,
+            (writable || writable === undefined) ? 'writable' : 'readonly'
+        ], null, options);
+};
 
-        });
+/**
+ * @param {String} vmxFile
+ * @param {String} shareName
+ * @param {String} newHostPath
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.addSharedFolder = function (vmxFile, shareName, newHostPath, options) {
+    return this.vmrun('addSharedFolder', [vmxFile, shareName, newHostPath], null, options);
+};
 
-    });
+/**
+ * @param {String} vmxFile
+ * @param {String} shareName
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.removeSharedFolder = function (vmxFile, shareName, options) {
+    return this.vmrun('removeSharedFolder', [vmxFile, shareName], null, options);
 };
 
 /**
- * Call a VMRun command
- * @param {String} command
- * @param {[String]?} args
- * @param {[String]?} unesc_args
- * @returns {Promise<{stdout, stderr}>}
+ * @param {String} vmxFile
+ * @param {Boolean} runtime=false
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.vmrun = function (command, args, unesc_args) {
-    return VMRun.vmrunWithOptions(command, args, this._options, unesc_args);
+VMRun.prototype.enableSharedFolders = function (vmxFile, runtime, options) {
+    var args = [vmxFile];
+    if (runtime) {
+        args.push('runtime');
+    }
+    return this.vmrun('enableSharedFolders', args, null, options);
 };
 
 /**
  * @param {String} vmxFile
- * @param {Boolean} gui=false Should the gui be visible or not?
+ * @param {Boolean} runtime=false
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.start = function (vmxFile, gui) {
-    return this.vmrun('start', [vmxFile, gui ? 'gui' : 'nogui']);
+VMRun.prototype.disableSharedFolders = function (vmxFile, runtime, options) {
+    var args = [vmxFile];
+    if (runtime) {
+        args.push('runtime');
+    }
+    return this.vmrun('disableSharedFolders', args, null, options);
 };
 
 /**
- * Hardware shutdown
  * @param {String} vmxFile
- * @returns {Promise.<Boolean>} Promise resolved to whether the machine was on or not
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[{index: Number, type: NetworkAdapterType, vmnet: String}]>}
  */
-VMRun.prototype.poweroff = VMRun.prototype.powerOff = function (vmxFile) {
-    return this.vmrun('stop', [vmxFile, 'hard'])
-        .then(function () {
-            return true;
-        })
-        .catch(function (err) {
-            if (err.message.indexOf('is not powered on')) {
-                return false;
-            }
-            throw err;
+VMRun.prototype.listNetworkAdapters = function (vmxFile, options) {
+    return this.vmrun('listNetworkAdapters', [vmxFile], null, options)
+        .then(function (std) {
+            return parseNetworkAdapters(std.stdout);
         });
 };
 
 /**
- * Softwaree shutdown
  * @param {String} vmxFile
+ * @param {NetworkAdapterType|{type: NetworkAdapterType, vmnet: String?}} adapter
+ *   The adapter type, or the type along with the host network (i.e. 'vmnet2') which is required for 'custom'
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.shutdown = function (vmxFile) {
-    return this.vmrun('stop', [vmxFile, 'soft']);
+VMRun.prototype.addNetworkAdapter = function (vmxFile, adapter, options) {
+    var args;
+    try {
+        args = [vmxFile].concat(networkAdapterArgs(adapter));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return this.vmrun('addNetworkAdapter', args, null, options);
 };
 
 /**
- * Hardware restart
  * @param {String} vmxFile
+ * @param {Number} index
+ * @param {NetworkAdapterType|{type: NetworkAdapterType, vmnet: String?}} adapter
+ *   The adapter type, or the type along with the host network (i.e. 'vmnet2') which is required for 'custom'
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.reset = function (vmxFile) {
-    return this.vmrun('reset', [vmxFile, 'hard']);
+VMRun.prototype.configureNetworkAdapter = function (vmxFile, index, adapter, options) {
+    var args;
+    try {
+        args = [vmxFile, index].concat(networkAdapterArgs(adapter));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return this.vmrun('configureNetworkAdapter', args, null, options);
 };
 
 /**
- * Software restart
  * @param {String} vmxFile
+ * @param {Number} index
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.restart = function (vmxFile) {
-    return this.vmrun('reset', [vmxFile, 'soft']);
+VMRun.prototype.deleteNetworkAdapter = function (vmxFile, index, options) {
+    return this.vmrun('deleteNetworkAdapter', [vmxFile, index], null, options);
 };
 
 /**
- * @param {String} vmxFile
- * @param {Boolean?} hard=false
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[{index: Number, name: String, type: String, dhcp: Boolean, subnet: String|null, mask: String|null}]>}
  */
-VMRun.prototype.suspend = function (vmxFile, hard) {
-    return this.vmrun('suspend', [vmxFile, hard ? 'hard' : 'soft']);
+VMRun.prototype.listHostNetworks = function (options) {
+    return this.vmrun('listHostNetworks', null, null, options)
+        .then(function (std) {
+            return parseHostNetworks(std.stdout);
+        });
 };
 
 /**
- * @param {String} vmxFile
+ * @param {String} hostNetworkName i.e. 'vmnet8'
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[{protocol: String, hostPort: Number, guestIp: String, guestPort: Number, description: String}]>}
+ */
+VMRun.prototype.listPortForwardings = function (hostNetworkName, options) {
+    return this.vmrun('listPortForwardings', [hostNetworkName], null, options)
+        .then(function (std) {
+            return parsePortForwardings(std.stdout);
+        });
+};
+
+/**
+ * @param {String} hostNetworkName i.e. 'vmnet8'
+ * @param {Object} forwarding
+ * @param {String} forwarding.protocol 'tcp' | 'udp'
+ * @param {Number} forwarding.hostPort
+ * @param {String} forwarding.guestIp
+ * @param {Number} forwarding.guestPort
+ * @param {String?} forwarding.description
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.pause = function (vmxFile) {
-    return this.vmrun('pause', [vmxFile]);
+VMRun.prototype.setPortForwarding = function (hostNetworkName, forwarding, options) {
+    var args;
+    try {
+        args = [
+            hostNetworkName,
+            validProtocol(forwarding.protocol),
+            validPort(forwarding.hostPort, 'hostPort'),
+            forwarding.guestIp,
+            validPort(forwarding.guestPort, 'guestPort')
+        ];
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    if (forwarding.description) {
+        args.push(forwarding.description);
+    }
+    return this.vmrun('setPortForwarding', args, null, options);
 };
 
 /**
- * @param {String} vmxFile
+ * @param {String} hostNetworkName i.e. 'vmnet8'
+ * @param {Object} forwarding Accepts a port forwarding returned from `listPortForwardings`
+ * @param {String} forwarding.protocol 'tcp' | 'udp'
+ * @param {Number} forwarding.hostPort
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.unpause = function (vmxFile) {
-    return this.vmrun('unpause', [vmxFile]);
+VMRun.prototype.deletePortForwarding = function (hostNetworkName, forwarding, options) {
+    var args;
+    try {
+        args = [
+            hostNetworkName,
+            validProtocol(forwarding.protocol),
+            validPort(forwarding.hostPort, 'hostPort')
+        ];
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return this.vmrun('deletePortForwarding', args, null, options);
 };
 
 /**
  * @param {String} vmxFile
- * @returns {Promise.<[String]>}
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[{pid: Number, owner: String, cmd: String}]>}
  */
-VMRun.prototype.listSnapshots = function (vmxFile) {
-    return this.vmrun('listSnapshots', [vmxFile])
+VMRun.prototype.listProcessesInGuest = function (vmxFile, options) {
+    return this.vmrun('listProcessesInGuest', [vmxFile], null, options)
         .then(function (std) {
 
-            var idx = std.stdout.indexOf('Total snapshots');
+            var idx = std.stdout.indexOf('Process list');
             if (idx > -1) {
                 idx = std.stdout.indexOf('\n', idx);
             }
@@ -350,54 +1871,164 @@ VMRun.prototype.listSnapshots = function (vmxFile) {
                 list.splice(idx, 1);
             }
 
-            return list;
+            var processes = [];
+
+            list.forEach(function (x) {
+                var matches = x.match(/^pid=([0-9]+), owner=(.*?), cmd=(.*)$/);
+                if (matches) {
+                    processes.push({
+                        pid: parseInt(matches[1], 10)
+                        , owner: matches[2]
+                        , cmd: matches[3]
+                    });
+                }
+            });
+
+            return processes;
         });
 };
 
 /**
  * @param {String} vmxFile
- * @param {String} snapshotName
+ * @param {String|Number} processId
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.snapshot = function (vmxFile, snapshotName) {
-    return this.vmrun('snapshot', [vmxFile, snapshotName]);
+VMRun.prototype.killProcessInGuest = function (vmxFile, processId, options) {
+    return this.vmrun('killProcessInGuest', [vmxFile, processId], null, options);
 };
 
+/**
+ * Selects guest processes:
+ * a String matches the program name (ignoring the case and '.exe' in Windows guests),
+ * a RegExp is tested against the command line, and an object combines `name`, `cmd` and `owner` (Strings or RegExps).
+ * @typedef {String|RegExp|{name: String|undefined, cmd: String|RegExp|undefined, owner: String|RegExp|undefined}|function({pid: Number, owner: String, cmd: String}):Boolean} GuestProcessFilter
+ */
+
 /**
  * @param {String} vmxFile
- * @param {String} snapshotName
- * @param {Boolean?} deleteChildren=false
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {GuestProcessFilter} filter
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[{pid: Number, owner: String, cmd: String}]>}
  */
-VMRun.prototype.deleteSnapshot = function (vmxFile, snapshotName, deleteChildren) {
-    var args = [vmxFile, snapshotName];
-    if (deleteChildren) {
-        args.push('andDeleteChildren');
-    }
-    return this.vmrun('deleteSnapshot', args);
+VMRun.prototype.findProcessesInGuest = function (vmxFile, filter, options) {
+    return this.listProcessesInGuest(vmxFile, options)
+        .then(function (processes) {
+            return processes.filter(function (process) {
+                return matchesProcess(process, filter);
+            });
+        });
 };
 
 /**
+ * Kills every guest process matching the filter
  * @param {String} vmxFile
- * @param {String} snapshotName
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {GuestProcessFilter} filter
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[Number]>} The pids of the killed processes
  */
-VMRun.prototype.revertToSnapshot = function (vmxFile, snapshotName) {
-    return this.vmrun('revertToSnapshot', [vmxFile, snapshotName]);
+VMRun.prototype.killProcessesByName = function (vmxFile, filter, options) {
+    var self = this;
+
+    return this.findProcessesInGuest(vmxFile, filter, options)
+        .then(function (processes) {
+            return processes.reduce(function (promise, process) {
+                return promise.then(function () {
+                    return self.killProcessInGuest(vmxFile, process.pid, options);
+                });
+            }, Promise.resolve())
+                .then(function () {
+                    return processes.map(function (process) {
+                        return process.pid;
+                    });
+                });
+        });
+};
+
+/**
+ * Polls the guest processes until the process is gone. Transient errors do not end the wait.
+ * @param {String} vmxFile
+ * @param {String|Number} processId
+ * @param {Object?} options
+ * @param {Number} options.interval=1000 Milliseconds between polls
+ * @param {Number} options.timeout=0 Milliseconds before rejecting with a `VMRunTimeoutError`, 0 to wait forever
+ * @param {AbortSignal?} options.signal
+ * @returns {Promise}
+ */
+VMRun.prototype.waitForProcessExit = function (vmxFile, processId, options) {
+    var self = this;
+    var pid = parseInt(processId, 10);
+
+    return poll.poll(function (callOptions) {
+        return self.listProcessesInGuest(vmxFile, callOptions)
+            .then(function (processes) {
+                var running = processes.some(function (process) {
+                    return process.pid === pid;
+                });
+                return running ? undefined : true;
+            });
+    }, extend({}, options, { retryOn: isTransientError }), 'process ' + pid + ' in ' + vmxFile + ' to exit')
+        .then(function () {});
 };
 
 /**
+ * Starts a program in the guest without waiting for it, and finds its pid
+ * by looking for a new process of the program in the process list.
+ * A program which exits before it is found times out.
  * @param {String} vmxFile
  * @param {String} pathToProgram
  * @param {[String]} programArgs
- * @param {Object?} options
+ * @param {VMRunCallOptions?} options `timeout` applies to every vmrun call, as with other commands
+ * @param {Boolean} options.activeWindow=false
+ * @param {Boolean} options.interactive=false
+ * @param {Number} options.interval=500 Milliseconds between looks at the process list
+ * @param {Number} options.pidTimeout=10000 Milliseconds before rejecting with a `VMRunTimeoutError` when the process does not show up
+ * @returns {Promise.<Number>} The pid
+ */
+VMRun.prototype.startProgramInGuest = function (vmxFile, pathToProgram, programArgs, options) {
+    var self = this;
+    options = options || {};
+
+    var name = guestBaseName(validPath(pathToProgram));
+    var existing = {};
+
+    return this.listProcessesInGuest(vmxFile, options)
+        .then(function (processes) {
+            processes.forEach(function (process) {
+                existing[process.pid] = true;
+            });
+
+            return self.runProgramInGuest(vmxFile, pathToProgram, programArgs, extend({}, options, { noWait: true }));
+        })
+        .then(function () {
+            return poll.poll(function () {
+                return self.listProcessesInGuest(vmxFile, options)
+                    .then(function (processes) {
+                        var started = processes.filter(function (process) {
+                            return !existing[process.pid] && hasProcessName(process, name);
+                        })[0];
+                        return started ? started.pid : undefined;
+                    });
+            }, {
+                interval: options.interval || 500,
+                timeout: options.pidTimeout > 0 ? options.pidTimeout : 10000,
+                signal: options.signal,
+                retryOn: isTransientError
+            }, 'the process of ' + pathToProgram + ' in ' + vmxFile);
+        });
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} interpreterPath
+ * @param {String} script
+ * @param {VMRunCallOptions?} options
  * @param {Boolean} options.noWait=false
  * @param {Boolean} options.activeWindow=false
  * @param {Boolean} options.interactive=false
- * @param {[String]?} unesc_args
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.runProgramInGuest = function (vmxFile, pathToProgram, programArgs, options, unesc_args) {
+VMRun.prototype.runScriptInGuest = function (vmxFile, interpreterPath, script, options) {
     var args = [vmxFile];
     if (options) {
         if (options.noWait) {
@@ -410,110 +2041,196 @@ VMRun.prototype.runProgramInGuest = function (vmxFile, pathToProgram, programArg
             args.push('-interactive');
         }
     }
-    args.push(validPath(pathToProgram));
-    if (programArgs) {
-        args = args.concat(programArgs);
-    }
-    return this.vmrun('runProgramInGuest', args, unesc_args);
+    args.push(interpreterPath);
+    args.push(script);
+
+    return this.vmrun('runScriptInGuest', args, null, options);
 };
 
 /**
+ * Runs a shell command in the guest and captures its output and exit code.
+ * The output is redirected into temporary files in the guest, which are copied back and deleted.
  * @param {String} vmxFile
- * @param {String} path
- * @returns {Promise.<Boolean>}
+ * @param {String} command
+ * @param {VMRunCallOptions?} options
+ * @param {String?} options.shell 'sh' | 'bash' | 'cmd' | 'powershell' | 'pwsh' or the path of a shell in the guest.
+ *   Defaults to 'cmd' on Windows guests and 'sh' on others.
+ * @param {String?} options.guestOS 'windows' | 'posix', detected from the guest's temp path when not specified
+ * @param {String?} options.cwd Working directory in the guest
+ * @param {Object<String, String>?} options.env Environment variables to set for the command.
+ *   With cmd, neither these nor `cwd` may contain quotes or line breaks, which reject with a `TypeError`
+ * @param {Boolean} options.activeWindow=false
+ * @param {Boolean} options.interactive=false
+ * @returns {Promise.<{exitCode: Number, stdout: String, stderr: String}>}
  */
-VMRun.prototype.fileExistsInGuest = function (vmxFile, path) {
-    return this.vmrun('fileExistsInGuest', [vmxFile, validPath(path)])
-        .then(function (std) {
+VMRun.prototype.execInGuest = function (vmxFile, command, options) {
+    var self = this;
+    options = options || {};
 
-            return std.stdout.indexOf('file exists') > -1;
-        });
-};
+    // Cleaning up has to work even after the signal has aborted the command
+    var cleanupOptions = { maxBuffer: options.maxBuffer };
+    var guestFiles = [];
+    var paths = {};
+    var shell;
+
+    var createTempfile = function () {
+        return self.createTempfileInGuest(vmxFile, options)
+            .then(function (path) {
+                guestFiles.push(path);
+                return path;
+            });
+    };
 
-/**
- * @param {String} vmxFile
- * @param {String} path
- * @returns {Promise.<Boolean>}
- */
-VMRun.prototype.directoryExistsInGuest = function (vmxFile, path) {
-    return this.vmrun('directoryExistsInGuest', [vmxFile, validPath(path)])
-        .then(function (std) {
+    var run = function (hostDir) {
+        return createTempfile()
+            .then(function (path) {
+                paths.stdout = path;
+
+                var guestOS = options.guestOS || (guestSeparator(path) === '\\' ? 'windows' : 'posix');
+                shell = guestShell.resolveShell(guestOS, options.shell);
+
+                return createTempfile();
+            })
+            .then(function (path) {
+                paths.stderr = path;
+                return createTempfile();
+            })
+            .then(function (path) {
+                if (!shell.extension) return path;
+
+                // Windows shells go by the extension of the script
+                return self.renameFileInGuest(vmxFile, path, path + shell.extension, options)
+                    .then(function () {
+                        guestFiles[guestFiles.indexOf(path)] = path + shell.extension;
+                        return path + shell.extension;
+                    });
+            })
+            .then(function (path) {
+                paths.script = path;
 
-            return std.stdout.indexOf('directory exists') > -1;
-        });
-};
+                var hostScript = Path.join(hostDir, 'script' + shell.extension);
+                var script = guestShell.buildScript(shell, command, paths, options);
 
-/**
- * @param {String} vmxFile
- * @param {String} shareName
- * @param {String} hostPath
- * @param {Boolean?} writable=true
- * @returns {Promise.<{stdout, stderr}>}
- */
-VMRun.prototype.setSharedFolderState = function (vmxFile, shareName, hostPath, writable) {
-    return this
-        .vmrun('setSharedFolderState', [
-            vmxFile,
-            shareName,
-            hostPath,
-            (writable || writable === undefined) ? 'writable' : 'readonly'
-        ]);
+                return fs.promises.writeFile(hostScript, script)
+                    .then(function () {
+                        return self.copyFileFromHostToGuest(vmxFile, hostScript, paths.script, options);
+                    });
+            })
+            .then(function () {
+                var runOptions = extend({}, options, { noWait: false });
+
+                return self.runProgramInGuest(vmxFile, shell.path, guestShell.scriptArgs(shell, paths.script), runOptions)
+                    .then(function () {
+                        return 0;
+                    }, function (err) {
+                        if (err instanceof errors.GuestProgramError && err.guestExitCode !== null) {
+                            return err.guestExitCode;
+                        }
+                        throw err;
+                    });
+            })
+            .then(function (exitCode) {
+                var result = { exitCode: exitCode, stdout: '', stderr: '' };
+
+                return Promise.all(['stdout', 'stderr'].map(function (name) {
+                    var hostPath = Path.join(hostDir, name);
+
+                    return self.copyFileFromGuestToHost(vmxFile, paths[name], hostPath, options)
+                        .then(function () {
+                            return fs.promises.readFile(hostPath);
+                        })
+                        .then(function (buffer) {
+                            result[name] = guestShell.decodeOutput(buffer);
+                        });
+                })).then(function () {
+                    return result;
+                });
+            });
+    };
+
+    var cleanup = function () {
+        return Promise.all(guestFiles.map(function (path) {
+            return self.deleteFileInGuest(vmxFile, path, cleanupOptions)
+                .catch(function () {});
+        }));
+    };
+
+    return withHostTempDir(function (hostDir) {
+        return run(hostDir)
+            .then(function (result) {
+                return cleanup().then(function () {
+                    return result;
+                });
+            }, function (err) {
+                return cleanup().then(function () {
+                    throw err;
+                });
+            });
+    });
 };
 
 /**
  * @param {String} vmxFile
- * @param {String} shareName
- * @param {String} newHostPath
+ * @param {String} path
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.addSharedFolder = function (vmxFile, shareName, newHostPath) {
-    return this.vmrun('addSharedFolder', [vmxFile, shareName, newHostPath]);
+VMRun.prototype.deleteFileInGuest = function (vmxFile, path, options) {
+    return this.vmrun('deleteFileInGuest', [vmxFile, validPath(path)], null, options);
 };
 
 /**
  * @param {String} vmxFile
- * @param {String} shareName
+ * @param {String} path
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.removeSharedFolder = function (vmxFile, shareName) {
-    return this.vmrun('removeSharedFolder', [vmxFile, shareName]);
+VMRun.prototype.createDirectoryInGuest = function (vmxFile, path, options) {
+    return this.vmrun('createDirectoryInGuest', [vmxFile, validPath(path)], null, options);
 };
 
 /**
  * @param {String} vmxFile
- * @param {Boolean} runtime=false
+ * @param {String} path
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.enableSharedFolders = function (vmxFile, runtime) {
-    var args = [vmxFile];
-    if (runtime) {
-        args.push('runtime');
-    }
-    return this.vmrun('enableSharedFolders', args);
+VMRun.prototype.deleteDirectoryInGuest = function (vmxFile, path, options) {
+    return this.vmrun('deleteDirectoryInGuest', [vmxFile, validPath(path)], null, options);
 };
 
 /**
  * @param {String} vmxFile
- * @param {Boolean} runtime=false
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {String} path
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<String>}
  */
-VMRun.prototype.disableSharedFolders = function (vmxFile, runtime) {
-    var args = [vmxFile];
-    if (runtime) {
-        args.push('runtime');
-    }
-    return this.vmrun('disableSharedFolders', args);
+VMRun.prototype.createTempfileInGuest = function (vmxFile, options) {
+    var self = this;
+    return this.vmrun('createTempfileInGuest', [vmxFile], null, options)
+        .then(function (std) {
+            if (std.stdout) {
+                return cleanStdout(std.stdout);
+            }
+
+            throw outputError('createTempfileInGuest', [vmxFile], std, self._options);
+        });
 };
 
 /**
  * @param {String} vmxFile
- * @returns {Promise.<[{pid, owner, cmd}]>}
+ * @param {String} directoryPath
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<[String]>}
  */
-VMRun.prototype.listProcessesInGuest = function (vmxFile) {
-    return this.vmrun('listProcessesInGuest', [vmxFile])
+VMRun.prototype.listDirectoryInGuest = function (vmxFile, directoryPath, options) {
+
+    directoryPath = (directoryPath + '').replace(/[\/\\]*$/, '');
+
+    return this.vmrun('listDirectoryInGuest', [vmxFile, validPath(directoryPath)], null, options)
         .then(function (std) {
 
-            var idx = std.stdout.indexOf('Process list');
+            var idx = std.stdout.indexOf('Directory list');
             if (idx > -1) {
                 idx = std.stdout.indexOf('\n', idx);
             }
@@ -524,168 +2241,410 @@ VMRun.prototype.listProcessesInGuest = function (vmxFile) {
                 list.splice(idx, 1);
             }
 
-            var processes = [];
+            return list;
+        });
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} pathInHost
+ * @param {String} pathInGuest
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.copyFileFromHostToGuest = function (vmxFile, pathInHost, pathInGuest, options) {
+    return this.vmrun('copyFileFromHostToGuest', [vmxFile, validPath(pathInHost), validPath(pathInGuest)], null, options);
+};
+
+/**
+ * @param {String} vmxFile
+ * @param {String} pathInGuest
+ * @param {String} pathInHost
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+VMRun.prototype.copyFileFromGuestToHost = function (vmxFile, pathInGuest, pathInHost, options) {
+    return this.vmrun('copyFileFromGuestToHost', [vmxFile, validPath(pathInGuest), validPath(pathInHost)], null, options);
+};
+
+/**
+ * @typedef {Object} CopyProgressEvent
+ * @property {String} type 'directory' | 'file'
+ * @property {String} source
+ * @property {String} target
+ * @property {Number} completed Number of files copied so far
+ * @property {Number} total Number of files to copy
+ */
+
+/**
+ * @typedef {VMRunCallOptions} CopyDirectoryOptions
+ * @property {[String]|undefined} include? Glob patterns of files to copy, relative to the source directory
+ * @property {[String]|undefined} exclude? Glob patterns of files and directories to skip
+ * @property {Number|undefined} concurrency? How many copies run at once, defaults to 4
+ * @property {function(CopyProgressEvent)|undefined} onProgress? Called after every directory created and file copied
+ */
+
+/**
+ * Copies a directory from the host into the guest, recursively, creating missing directories
+ * @param {String} vmxFile
+ * @param {String} pathInHost
+ * @param {String} pathInGuest
+ * @param {CopyDirectoryOptions?} options
+ * @returns {Promise.<{directories: [String], files: [String]}>} The relative paths that were copied
+ */
+VMRun.prototype.copyDirectoryToGuest = function (vmxFile, pathInHost, pathInGuest, options) {
+    var self = this;
+    options = options || {};
+
+    var limit = options.concurrency || 4;
+    var run = concurrency.limiter(limit);
+    var created = {};
+    var completed = 0;
+    var tree;
+
+    var progress = function (type, source, target) {
+        if (options.onProgress) {
+            options.onProgress({
+                type: type, source: source, target: target,
+                completed: completed, total: tree.files.length
+            });
+        }
+    };
+
+    var ensureDirectory = function (relativeDir) {
+        var target = joinGuestPath(pathInGuest, relativeDir);
+
+        // Nothing exists yet below a directory that we have just created
+        var check = created[parentOf(relativeDir)]
+            ? Promise.resolve(false)
+            : run(function () {
+                return self.directoryExistsInGuest(vmxFile, target, options);
+            });
+
+        return check.then(function (exists) {
+            if (exists) return;
+
+            return run(function () {
+                return self.createDirectoryInGuest(vmxFile, target, options);
+            })
+                .then(function () {
+                    created[relativeDir] = true;
+                    progress('directory', Path.join(pathInHost, relativeDir), target);
+                });
+        });
+    };
+
+    return walkHostDirectory(validPath(pathInHost), options.exclude, limit)
+        .then(function (walked) {
+            tree = filterTree(walked, options.include);
+
+            // The target may be missing parents too
+            return self.mkdirpInGuest(vmxFile, pathInGuest, options);
+        })
+        .then(function (first) {
+            if (first) {
+                created[''] = true;
+                progress('directory', pathInHost, validPath(pathInGuest));
+            }
 
-            list.forEach(function (x) {
-                var matches = x.match(/^pid=([0-9]+), owner=(.*?), cmd=(.*)$/);
-                if (matches) {
-                    processes.push({
-                        pid: matches[1]
-                        , owner: matches[2]
-                        , cmd: matches[3]
+            return byDepth(tree.directories).reduce(function (promise, level) {
+                return promise.then(function () {
+                    return Promise.all(level.map(ensureDirectory));
+                });
+            }, Promise.resolve());
+        })
+        .then(function () {
+            return Promise.all(tree.files.map(function (file) {
+                var source = Path.join(pathInHost, file);
+                var target = joinGuestPath(pathInGuest, file);
+
+                return run(function () {
+                    return self.copyFileFromHostToGuest(vmxFile, source, target, options);
+                })
+                    .then(function () {
+                        completed++;
+                        progress('file', source, target);
                     });
-                }
-            });
-
-            return processes;
+            }));
+        })
+        .then(function () {
+            return tree;
         });
 };
 
 /**
+ * Copies a directory from the guest to the host, recursively, creating missing directories
  * @param {String} vmxFile
- * @param {String|Number} processId
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {String} pathInGuest
+ * @param {String} pathInHost
+ * @param {CopyDirectoryOptions?} options
+ * @returns {Promise.<{directories: [String], files: [String]}>} The relative paths that were copied
  */
-VMRun.prototype.killProcessInGuest = function (vmxFile, processId) {
-    return this.vmrun('killProcessInGuest', [vmxFile, processId]);
-};
+VMRun.prototype.copyDirectoryFromGuest = function (vmxFile, pathInGuest, pathInHost, options) {
+    var self = this;
+    options = options || {};
 
-/**
- * @param {String} vmxFile
- * @param {String} interpreterPath
- * @param {String} script
- * @param {Object?} options
- * @param {Boolean} options.noWait=false
- * @param {Boolean} options.activeWindow=false
- * @param {Boolean} options.interactive=false
- * @returns {Promise.<{stdout, stderr}>}
- */
-VMRun.prototype.runScriptInGuest = function (vmxFile, interpreterPath, script, options) {
-    var args = [vmxFile];
-    if (options) {
-        if (options.noWait) {
-            args.push('-noWait');
-        }
-        if (options.activeWindow) {
-            args.push('-activeWindow');
-        }
-        if (options.interactive) {
-            args.push('-interactive');
+    // One cap for the whole copy, however deep the tree is
+    var run = concurrency.limiter(options.concurrency || 4);
+    var walked = { directories: [], files: [] };
+    var completed = 0;
+    var tree;
+
+    var progress = function (type, source, target) {
+        if (options.onProgress) {
+            options.onProgress({
+                type: type, source: source, target: target,
+                completed: completed, total: tree.files.length
+            });
         }
-    }
-    args.push(interpreterPath);
-    args.push(script);
+    };
+
+    var walk = function (relativeDir) {
+        return run(function () {
+            return self.listDirectoryInGuest(vmxFile, joinGuestPath(pathInGuest, relativeDir), options);
+        })
+            .then(function (names) {
+                return Promise.all(names.map(function (name) {
+                    var relativePath = relativeDir ? relativeDir + '/' + name : name;
+                    if (glob.matches(relativePath, options.exclude)) return;
+
+                    return run(function () {
+                        return self.directoryExistsInGuest(vmxFile, joinGuestPath(pathInGuest, relativePath), options);
+                    })
+                        .then(function (isDirectory) {
+                            if (isDirectory) {
+                                walked.directories.push(relativePath);
+                                return walk(relativePath);
+                            }
+                            walked.files.push(relativePath);
+                        });
+                }));
+            });
+    };
+
+    return walk('')
+        .then(function () {
+            walked.directories.sort();
+            walked.files.sort();
+            tree = filterTree(walked, options.include);
 
-    return this.vmrun('runScriptInGuest', args);
+            return fs.promises.mkdir(pathInHost, { recursive: true });
+        })
+        .then(function () {
+            return byDepth(tree.directories).reduce(function (promise, level) {
+                return promise.then(function () {
+                    return Promise.all(level.map(function (dir) {
+                        var target = Path.join(pathInHost, dir);
+
+                        return run(function () {
+                            return fs.promises.mkdir(target, { recursive: true });
+                        })
+                            .then(function () {
+                                progress('directory', joinGuestPath(pathInGuest, dir), target);
+                            });
+                    }));
+                });
+            }, Promise.resolve());
+        })
+        .then(function () {
+            return Promise.all(tree.files.map(function (file) {
+                var source = joinGuestPath(pathInGuest, file);
+                var target = Path.join(pathInHost, file);
+
+                return run(function () {
+                    return self.copyFileFromGuestToHost(vmxFile, source, target, options);
+                })
+                    .then(function () {
+                        completed++;
+                        progress('file', source, target);
+                    });
+            }));
+        })
+        .then(function () {
+            return tree;
+        });
 };
 
 /**
  * @param {String} vmxFile
- * @param {String} path
+ * @param {String} originalName
+ * @param {String} newName
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.deleteFileInGuest = function (vmxFile, path) {
-    return this.vmrun('deleteFileInGuest', [vmxFile, validPath(path)]);
+VMRun.prototype.renameFileInGuest = function (vmxFile, originalName, newName, options) {
+    return this.vmrun('renameFileInGuest', [vmxFile, validPath(originalName), validPath(newName)], null, options);
 };
 
 /**
+ * Reads a file from the guest, through a temporary file on the host
  * @param {String} vmxFile
- * @param {String} path
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {String} pathInGuest
+ * @param {VMRunCallOptions|String?} options Or the encoding
+ * @param {String?} options.encoding Resolve to a String in this encoding, instead of a Buffer
+ * @returns {Promise.<Buffer|String>}
  */
-VMRun.prototype.createDirectoryInGuest = function (vmxFile, path) {
-    return this.vmrun('createDirectoryInGuest', [vmxFile, validPath(path)]);
+VMRun.prototype.readFileInGuest = function (vmxFile, pathInGuest, options) {
+    var self = this;
+    options = encodingOptions(options);
+
+    return withHostTempDir(function (dir) {
+        var file = Path.join(dir, 'file');
+
+        return self.copyFileFromGuestToHost(vmxFile, pathInGuest, file, options)
+            .then(function () {
+                return fs.promises.readFile(file, options.encoding ? { encoding: options.encoding } : undefined);
+            });
+    });
 };
 
 /**
+ * Writes a file into the guest, replacing it if it exists, through a temporary file on the host
  * @param {String} vmxFile
- * @param {String} path
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {String} pathInGuest
+ * @param {Buffer|String} data
+ * @param {VMRunCallOptions|String?} options Or the encoding
+ * @param {String} options.encoding='utf8' Encoding of string data
+ * @returns {Promise}
  */
-VMRun.prototype.deleteDirectoryInGuest = function (vmxFile, path) {
-    return this.vmrun('deleteDirectoryInGuest', [vmxFile, validPath(path)]);
+VMRun.prototype.writeFileInGuest = function (vmxFile, pathInGuest, data, options) {
+    var self = this;
+    options = encodingOptions(options);
+
+    return withHostTempDir(function (dir) {
+        var file = Path.join(dir, 'file');
+
+        return fs.promises.writeFile(file, data, { encoding: options.encoding || 'utf8' })
+            .then(function () {
+                return self.copyFileFromHostToGuest(vmxFile, file, pathInGuest, options);
+            })
+            .then(function () {});
+    });
 };
 
 /**
- * @param {String} vmxFile
- * @param {String} path
- * @returns {Promise.<String>}
+ * @typedef {Object} GuestStats
+ * @property {String} path
+ * @property {function():Boolean} isFile
+ * @property {function():Boolean} isDirectory
  */
-VMRun.prototype.createTempfileInGuest = function (vmxFile) {
-    return this.vmrun('createTempfileInGuest', [vmxFile])
-        .then(function (std) {
-            if (std.stdout) {
-                return cleanStdout(std.stdout);
-            }
-
-            throw new Error(std.stderr);
-        });
-};
 
 /**
+ * Tells files and directories apart. vmrun does not report sizes or times.
  * @param {String} vmxFile
- * @param {String} directoryPath
- * @returns {Promise.<[String]>}
+ * @param {String} pathInGuest
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<GuestStats>} Rejects with a `GuestFileNotFoundError` when nothing exists at the path
  */
-VMRun.prototype.listDirectoryInGuest = function (vmxFile, directoryPath) {
-
-    directoryPath = (directoryPath + '').replace(/[\/\\]*$/, '');
-
-    return this.vmrun('listDirectoryInGuest', [vmxFile, validPath(directoryPath)])
-        .then(function (std) {
-
-            var idx = std.stdout.indexOf('Directory list');
-            if (idx > -1) {
-                idx = std.stdout.indexOf('\n', idx);
+VMRun.prototype.statInGuest = function (vmxFile, pathInGuest, options) {
+    var self = this;
+
+    var stats = function (isDirectory) {
+        return {
+            path: pathInGuest,
+            isFile: function () {
+                return !isDirectory;
+            },
+            isDirectory: function () {
+                return isDirectory;
             }
+        };
+    };
 
-            var list = std.stdout.substr(idx).trim().split('\n');
-            idx = list.indexOf('');
-            if (idx > -1) {
-                list.splice(idx, 1);
+    return this.directoryExistsInGuest(vmxFile, pathInGuest, options)
+        .then(function (isDirectory) {
+            if (isDirectory) {
+                return stats(true);
             }
 
-            return list;
+            return self.fileExistsInGuest(vmxFile, pathInGuest, options)
+                .then(function (isFile) {
+                    if (!isFile) {
+                        throw new errors.GuestFileNotFoundError('No such file or directory in the guest: ' + pathInGuest, {
+                            command: 'statInGuest',
+                            args: redact.redactArgs([vmxFile, pathInGuest])
+                        });
+                    }
+                    return stats(false);
+                });
         });
 };
 
 /**
+ * Creates a directory in the guest, with its missing parents. Existing directories are fine.
  * @param {String} vmxFile
- * @param {String} pathInHost
  * @param {String} pathInGuest
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<String|undefined>} The first directory created, as with `fs.promises.mkdir`, or undefined if it existed
  */
-VMRun.prototype.copyFileFromHostToGuest = function (vmxFile, pathInHost, pathInGuest) {
-    return this.vmrun('copyFileFromHostToGuest', [vmxFile, validPath(pathInHost), validPath(pathInGuest)]);
+VMRun.prototype.mkdirpInGuest = function (vmxFile, pathInGuest, options) {
+    var self = this;
+
+    if (isGuestRoot(pathInGuest)) {
+        return Promise.resolve();
+    }
+
+    return this.directoryExistsInGuest(vmxFile, pathInGuest, options)
+        .then(function (exists) {
+            if (exists) return;
+
+            var parent = guestDirName(pathInGuest);
+
+            return (parent ? self.mkdirpInGuest(vmxFile, parent, options) : Promise.resolve())
+                .then(function (first) {
+                    return self.createDirectoryInGuest(vmxFile, pathInGuest, options)
+                        .then(function () {
+                            return first || pathInGuest;
+                        });
+                });
+        });
 };
 
 /**
+ * Deletes a file, or a directory with its contents, from the guest. Nothing existing at the path is fine.
  * @param {String} vmxFile
  * @param {String} pathInGuest
- * @param {String} pathInHost
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<Boolean>} Whether something was deleted
  */
-VMRun.prototype.copyFileFromGuestToHost = function (vmxFile, pathInGuest, pathInHost) {
-    return this.vmrun('copyFileFromGuestToHost', [vmxFile, validPath(pathInGuest), validPath(pathInHost)]);
+VMRun.prototype.rmrfInGuest = function (vmxFile, pathInGuest, options) {
+    var self = this;
+
+    return this.statInGuest(vmxFile, pathInGuest, options)
+        .then(function (stats) {
+            // vmrun deletes the contents of directories too
+            return stats.isDirectory()
+                ? self.deleteDirectoryInGuest(vmxFile, pathInGuest, options)
+                : self.deleteFileInGuest(vmxFile, pathInGuest, options);
+        })
+        .then(function () {
+            return true;
+        }, function (err) {
+            if (err instanceof errors.GuestFileNotFoundError) {
+                return false;
+            }
+            throw err;
+        });
 };
 
 /**
+ * An object shaped like `fs.promises`, for the files of a guest
  * @param {String} vmxFile
- * @param {String} originalName
- * @param {String} newName
- * @returns {Promise.<{stdout, stderr}>}
+ * @param {VMRunCallOptions?} options Passed to every vmrun call
+ * @returns {GuestFs}
  */
-VMRun.prototype.renameFileInGuest = function (vmxFile, originalName, newName) {
-    return this.vmrun('renameFileInGuest', [vmxFile, validPath(originalName), validPath(newName)]);
+VMRun.prototype.guestFs = function (vmxFile, options) {
+    return new GuestFs(this, vmxFile, options);
 };
 
 /**
  * @param {String} vmxFile
  * @param {String} pathOnHost
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.captureScreen = function (vmxFile, pathOnHost) {
-    return this.vmrun('captureScreen', [vmxFile, validPath(pathOnHost)]);
+VMRun.prototype.captureScreen = function (vmxFile, pathOnHost, options) {
+    return this.vmrun('captureScreen', [vmxFile, validPath(pathOnHost)], null, options);
 };
 
 /**
@@ -693,35 +2652,38 @@ VMRun.prototype.captureScreen = function (vmxFile, pathOnHost) {
  * @param {String?} where 'runtimeConfig' | 'guestEnv' | 'guestVar'
  * @param {String|Number} variableName
  * @param {String|Number} variableValue
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.writeVariable = function (vmxFile, where, variableName, variableValue) {
+VMRun.prototype.writeVariable = function (vmxFile, where, variableName, variableValue, options) {
     var args = [vmxFile];
     if (where) {
         args.push(where);
     }
     args.push(variableName, variableValue);
 
-    return this.vmrun('writeVariable', args);
+    return this.vmrun('writeVariable', args, null, options);
 };
 
 /**
  * @param {String} vmxFile
  * @param {String?} where 'runtimeConfig' | 'guestEnv' | 'guestVar'
  * @param {String|Number} variableName
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<String>}
  */
-VMRun.prototype.readVariable = function (vmxFile, where, variableName) {
+VMRun.prototype.readVariable = function (vmxFile, where, variableName, options) {
+    var self = this;
     var args = [vmxFile];
     if (where) {
         args.push(where);
     }
     args.push(variableName);
 
-    return this.vmrun('readVariable', args)
+    return this.vmrun('readVariable', args, null, options)
         .then(function (std) {
             if (std.stderr) {
-                throw new Error(std.stderr);
+                throw outputError('readVariable', args, std, self._options);
             }
             return cleanStdout(std.stdout);
         });
@@ -729,24 +2691,75 @@ VMRun.prototype.readVariable = function (vmxFile, where, variableName) {
 
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @param {Boolean} options.wait=false Pass `-wait`, so vmrun waits until the guest reports an address
+ * @param {Boolean} options.poll=false Keep polling on failures and invalid addresses until `timeout` passes,
+ *   in which case `timeout` is the deadline for all attempts and rejects with a `VMRunTimeoutError`.
+ *   Polling replaces the `retry` policy for the call.
+ * @param {Number} options.interval=1000 Milliseconds before the first poll
+ * @param {Number} options.backoff=2 Factor applied to the interval after every poll
+ * @param {Number} options.maxInterval=10000 Upper bound for the interval between polls
  * @returns {Promise.<String>}
  */
-VMRun.prototype.getGuestIPAddress = function (vmxFile) {
-    return this.vmrun('getGuestIPAddress', [vmxFile])
-        .then(function (std) {
-            if (std.stderr) {
-                throw new Error(std.stderr);
-            }
-            return cleanStdout(std.stdout);
-        });
+VMRun.prototype.getGuestIPAddress = function (vmxFile, options) {
+    var self = this;
+    options = options || {};
+
+    var args = [vmxFile];
+    if (options.wait) {
+        args.push('-wait');
+    }
+
+    var getAddress = function (callOptions) {
+        return self.vmrun('getGuestIPAddress', args, null, callOptions)
+            .then(function (std) {
+                if (std.stderr) {
+                    throw outputError('getGuestIPAddress', args, std, self._options);
+                }
+
+                var ip = cleanStdout(std.stdout).trim();
+                if (!net.isIP(ip)) {
+                    throw new errors.VMRunError('The guest did not report a valid IP address: ' + ip, {
+                        command: 'getGuestIPAddress',
+                        args: redact.redactArgs(args),
+                        stdout: std.stdout,
+                        stderr: std.stderr
+                    });
+                }
+
+                return ip;
+            });
+    };
+
+    if (!options.poll) {
+        return getAddress(options);
+    }
+
+    // Polling does the retries, instead of the `retry` policy
+    return poll.poll(function (callOptions) {
+        return getAddress(extend({}, options, callOptions, { retry: false }));
+    }, {
+        interval: options.interval,
+        backoff: options.backoff || 2,
+        maxInterval: options.maxInterval || 10000,
+        timeout: options.timeout,
+        signal: options.signal,
+        retryOn: function (err) {
+            return !(err instanceof errors.VMRunAbortError ||
+                err instanceof errors.VMRunNotFoundError ||
+                err instanceof errors.GuestAuthenticationError ||
+                err instanceof errors.VMNotPoweredOnError);
+        }
+    }, 'the IP address of ' + vmxFile);
 };
 
 /**
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<[String]>}
  */
-VMRun.prototype.list = function () {
+VMRun.prototype.list = function (options) {
 
-    return this.vmrun('list')
+    return this.vmrun('list', null, null, options)
         .then(function (std) {
 
             var idx = std.stdout.indexOf('Total ');
@@ -764,31 +2777,123 @@ VMRun.prototype.list = function () {
         });
 };
 
+/**
+ * Finds out the state of a VM, by combining `list`, `checkToolsState` and `getGuestIPAddress`
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise.<VMStateInfo>}
+ */
+VMRun.prototype.getState = function (vmxFile, options) {
+    var self = this;
+    var info = { state: VMState.OFF, toolsState: null, ipAddress: null };
+
+    return this.list(options)
+        .then(function (list) {
+            var running = list.some(function (x) {
+                return samePath(x, vmxFile);
+            });
+
+            if (!running) {
+                return isSuspended(vmxFile)
+                    .then(function (suspended) {
+                        info.state = suspended ? VMState.SUSPENDED : VMState.OFF;
+                        return info;
+                    });
+            }
+
+            info.state = VMState.RUNNING;
+
+            return self.checkToolsState(vmxFile, options)
+                .then(function (toolsState) {
+                    info.toolsState = toolsState.trim();
+                    if (!/^running$/i.test(info.toolsState)) {
+                        return info;
+                    }
+
+                    info.state = VMState.TOOLS_RUNNING;
+
+                    return self.getGuestIPAddress(vmxFile, options)
+                        .then(function (ip) {
+                            info.ipAddress = ip;
+                        }, function (err) {
+                            if (err instanceof errors.VMRunAbortError || err instanceof errors.VMRunTimeoutError) {
+                                throw err;
+                            }
+                        })
+                        .then(function () {
+                            return info;
+                        });
+                });
+        });
+};
+
+/**
+ * Polls the state of a VM until it reaches the wanted state.
+ * Transient errors (`ToolsNotRunningError`, `VMLockedError`, `HostConnectionError`) do not end the wait.
+ * @param {String} vmxFile
+ * @param {VMState|[VMState]|function(VMStateInfo):Boolean} state
+ *   The state(s) to wait for, or a predicate. Waiting for 'running' is satisfied by 'tools-running' too.
+ * @param {Object?} options
+ * @param {Number} options.interval=1000 Milliseconds between polls
+ * @param {Number} options.timeout=0 Milliseconds before rejecting with a `VMRunTimeoutError`, 0 to wait forever
+ * @param {AbortSignal?} options.signal
+ * @returns {Promise.<VMStateInfo>}
+ */
+VMRun.prototype.waitForState = function (vmxFile, state, options) {
+    var self = this;
+
+    return poll.poll(function (callOptions) {
+        return self.getState(vmxFile, callOptions)
+            .then(function (info) {
+                return matchesState(info.state, state, info) ? info : undefined;
+            });
+    }, extend({}, options, { retryOn: isTransientError }), (typeof state === 'function' ? 'the state' : 'state ' + [].concat(state).join('/')) + ' of ' + vmxFile);
+};
+
+/**
+ * Waits until the tools are running in the guest and it has an IP address
+ * @param {String} vmxFile
+ * @param {Object?} options
+ * @param {Number} options.interval=1000 Milliseconds between polls
+ * @param {Number} options.timeout=0 Milliseconds before rejecting with a `VMRunTimeoutError`, 0 to wait forever
+ * @param {AbortSignal?} options.signal
+ * @returns {Promise.<VMStateInfo>}
+ */
+VMRun.prototype.waitForGuestReady = function (vmxFile, options) {
+    return this.waitForState(vmxFile, function (info) {
+        return info.state === VMState.TOOLS_RUNNING && !!info.ipAddress;
+    }, options);
+};
+
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.upgradeVM = function (vmxFile) {
-    return this.vmrun('upgradevm', [vmxFile]);
+VMRun.prototype.upgradeVM = function (vmxFile, options) {
+    return this.vmrun('upgradevm', [vmxFile], null, options);
 };
 
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.installTools = function (vmxFile) {
-    return this.vmrun('installTools', [vmxFile]);
+VMRun.prototype.installTools = function (vmxFile, options) {
+    return this.vmrun('installTools', [vmxFile], null, options);
 };
 
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<String>}
  */
-VMRun.prototype.checkToolsState = function (vmxFile) {
-    return this.vmrun('checkToolsState', [vmxFile])
+VMRun.prototype.checkToolsState = function (vmxFile, options) {
+    var self = this;
+    return this.vmrun('checkToolsState', [vmxFile], null, options)
         .then(function (std) {
             if (std.stderr) {
-                throw new Error(std.stderr);
+                throw outputError('checkToolsState', [vmxFile], std, self._options);
             }
             return cleanStdout(std.stdout);
         });
@@ -796,27 +2901,30 @@ VMRun.prototype.checkToolsState = function (vmxFile) {
 
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.register = function (vmxFile) {
-    return this.vmrun('register', [vmxFile]);
+VMRun.prototype.register = function (vmxFile, options) {
+    return this.vmrun('register', [vmxFile], null, options);
 };
 
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.unregister = function (vmxFile) {
-    return this.vmrun('unregister', [vmxFile]);
+VMRun.prototype.unregister = function (vmxFile, options) {
+    return this.vmrun('unregister', [vmxFile], null, options);
 };
 
 /**
  * @param {String} directoryPath
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<[String]>}
  */
-VMRun.prototype.listRegisteredVM = function () {
+VMRun.prototype.listRegisteredVM = function (options) {
 
-    return this.vmrun('listRegisteredVM')
+    return this.vmrun('listRegisteredVM', null, null, options)
         .then(function (std) {
 
             var idx = std.stdout.indexOf('Total ');
@@ -836,10 +2944,11 @@ VMRun.prototype.listRegisteredVM = function () {
 
 /**
  * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.deleteVM = function (vmxFile) {
-    return this.vmrun('deleteVM', [vmxFile]);
+VMRun.prototype.deleteVM = function (vmxFile, options) {
+    return this.vmrun('deleteVM', [vmxFile], null, options);
 };
 
 /**
@@ -848,9 +2957,10 @@ VMRun.prototype.deleteVM = function (vmxFile) {
  * @param {String} type='linked' 'full' | 'linked'
  * @param {String?} snapshotName
  * @param {String?} cloneName
+ * @param {VMRunCallOptions?} options
  * @returns {Promise.<{stdout, stderr}>}
  */
-VMRun.prototype.clone = function (vmxFile, newVmxFile, type, snapshotName, cloneName) {
+VMRun.prototype.clone = function (vmxFile, newVmxFile, type, snapshotName, cloneName, options) {
     var args = [vmxFile, newVmxFile];
     args.push(type === 'full' ? 'full' : 'linked');
     if (snapshotName) {
@@ -859,10 +2969,335 @@ VMRun.prototype.clone = function (vmxFile, newVmxFile, type, snapshotName, clone
     if (cloneName) {
         args.push('-cloneName=' + cloneName);
     }
-    return this.vmrun('clone', args);
+    return this.vmrun('clone', args, null, options);
+};
+
+/**
+ * Reads the vmx file of a VM. The file must be accessible from this machine, vmrun is not used.
+ * @param {String} vmxFile
+ * @returns {Promise.<Vmx>}
+ */
+VMRun.prototype.readVmx = function (vmxFile) {
+    return vmx.read(vmxFile);
+};
+
+/**
+ * Writes the vmx file of a VM, keeping the order and the comments of the lines that were read.
+ * The VM should be powered off, VMware overwrites the file otherwise.
+ * @param {String} vmxFile
+ * @param {Vmx} contents
+ * @param {Object?} options
+ * @param {Boolean?} options.force Write even if the VM is locked
+ * @returns {Promise} Rejects with a `VMLockedError` while the VM's `.lck` directory exists
+ */
+VMRun.prototype.writeVmx = function (vmxFile, contents, options) {
+    return vmx.write(vmxFile, contents, options);
+};
+
+/**
+ * Reads the vmx file of a VM, lets `fn` change it, and writes it back.
+ * i.e. `VMRun.editVmx(vmxFile, function (vmx) { vmx.memory = 4096; })`
+ * @param {String} vmxFile
+ * @param {function(Vmx):(Promise|*)} fn
+ * @param {Object?} options
+ * @param {Boolean?} options.force Write even if the VM is locked
+ * @returns {Promise.<Vmx>} Rejects with a `VMLockedError` while the VM's `.lck` directory exists
+ */
+VMRun.prototype.editVmx = function (vmxFile, fn, options) {
+    return vmx.edit(vmxFile, fn, options);
+};
+
+/**
+ * Creates a VM from a template: clones it, edits the new vmx file, optionally registers it,
+ * powers it on and waits for the guest to be ready.
+ * If any step fails, the new VM is powered off and deleted, and the promise rejects with the original error.
+ * @param {Object} options
+ * @param {String} options.template The vmx file to clone
+ * @param {String} options.target The vmx file of the new VM
+ * @param {String?} options.snapshot The snapshot of the template to clone from
+ * @param {Boolean} options.linked=true Linked or full clone
+ * @param {String?} options.displayName
+ * @param {Number?} options.memory Memory size in MB
+ * @param {Number?} options.cpus Number of virtual CPUs
+ * @param {Boolean} options.register=false Register the new VM with the host (i.e. the Workstation library)
+ * @param {Boolean} options.start=true Power on the new VM
+ * @param {Boolean} options.gui=false
+ * @param {Boolean} options.waitForGuest=true Wait for the tools and an IP address after powering on
+ * @param {Object<String, String>?} options.guestVariables Written as `guestVar` variables once the guest is ready
+ * @param {Number} options.timeout=0 Milliseconds to wait for the guest, 0 to wait forever
+ * @param {AbortSignal?} options.signal Aborts provisioning, which then rolls back
+ * @returns {Promise.<VirtualMachine>}
+ */
+VMRun.prototype.provision = function (options) {
+    var self = this;
+    options = options || {};
+
+    if (!options.template || typeof options.template !== 'string') {
+        return Promise.reject(new TypeError('provision() requires a template vmx file'));
+    }
+    if (!options.target || typeof options.target !== 'string') {
+        return Promise.reject(new TypeError('provision() requires a target vmx file'));
+    }
+
+    var target = options.target;
+    var callOptions = { signal: options.signal };
+    var start = options.start !== false;
+    var variables = options.guestVariables || {};
+    var cloned = false, registered = false;
+
+    var rollback = function (err) {
+        if (!cloned) throw err;
+
+        // Without the signal, which may be the reason for the failure
+        return self.poweroff(target)
+            .catch(function () {})
+            .then(function () {
+                return registered ? self.unregister(target).catch(function () {}) : null;
+            })
+            .then(function () {
+                return self.deleteVM(target);
+            })
+            .catch(function (rollbackError) {
+                self._options.logger.warn('Could not delete ' + target + ' after failing to provision it: ' + rollbackError.message);
+                err.rollbackError = rollbackError;
+            })
+            .then(function () {
+                throw err;
+            });
+    };
+
+    return self.clone(options.template, target, options.linked === false ? 'full' : 'linked',
+        options.snapshot, options.displayName, callOptions)
+        .then(function () {
+            cloned = true;
+
+            if (options.displayName === undefined && options.memory === undefined && options.cpus === undefined) {
+                return null;
+            }
+
+            return vmx.edit(target, function (contents) {
+                if (options.displayName !== undefined) contents.displayName = options.displayName;
+                if (options.memory !== undefined) contents.memory = options.memory;
+                if (options.cpus !== undefined) contents.cpus = options.cpus;
+            });
+        })
+        .then(function () {
+            if (!options.register) return null;
+
+            return self.register(target, callOptions)
+                .then(function () {
+                    registered = true;
+                });
+        })
+        .then(function () {
+            if (!start) return null;
+
+            return self.start(target, options.gui, callOptions)
+                .then(function () {
+                    if (options.waitForGuest === false) return null;
+
+                    return self.waitForGuestReady(target, {
+                        timeout: options.timeout,
+                        signal: options.signal
+                    });
+                });
+        })
+        .then(function () {
+            // Guest variables need a running VM
+            if (!start) return null;
+
+            return Object.keys(variables).reduce(function (promise, name) {
+                return promise.then(function () {
+                    return self.writeVariable(target, 'guestVar', name, variables[name], callOptions);
+                });
+            }, Promise.resolve());
+        })
+        .then(function () {
+            return self.vm(target);
+        }, rollback);
+};
+
+/**
+ * Creates a VM which is cleaned up when disposed, even on SIGINT.
+ * - 'snapshot' mode snapshots the template, and disposing powers it off, reverts to the snapshot and deletes it
+ * - 'clone' mode provisions a linked clone (see `provision`), and disposing powers it off and deletes it
+ * @param {String} template The vmx file of the VM to use
+ * @param {Object?} options
+ * @param {String} options.mode='snapshot' 'snapshot' | 'clone'
+ * @param {String?} options.snapshot The snapshot of the template to clone from, in 'clone' mode
+ * @param {String?} options.target The vmx file of the clone, in 'clone' mode. Defaults to a new directory next to the template's
+ * @param {Boolean} options.start=true Power on the VM and wait for the guest to be ready
+ * @param {Number} options.timeout=0 Milliseconds to wait for the guest, 0 to wait forever
+ * @param {AbortSignal?} options.signal
+ * @returns {Promise.<TemporaryVM>}
+ */
+VMRun.prototype.createTemporaryVM = function (template, options) {
+    var self = this;
+    options = options || {};
+
+    var mode = options.mode || 'snapshot';
+    var suffix = Date.now().toString(36) + '-' + process.pid;
+
+    if (mode === 'clone') {
+        var name = Path.basename(template, Path.extname(template));
+        var target = options.target ||
+            Path.join(Path.dirname(Path.dirname(template)), name + '-temp-' + suffix, name + '.vmx');
+
+        return self.provision({
+            template: template,
+            snapshot: options.snapshot,
+            target: target,
+            linked: true,
+            start: options.start,
+            timeout: options.timeout,
+            signal: options.signal
+        }).then(function () {
+            return new TemporaryVM(self, target, function () {
+                return self.poweroff(target)
+                    .then(function () {
+                        return self.deleteVM(target);
+                    });
+            });
+        });
+    }
+
+    if (mode !== 'snapshot') {
+        return Promise.reject(new TypeError('Unknown temporary VM mode: ' + mode));
+    }
+
+    var snapshotName = 'vmrun-temporary-' + suffix;
+    var handle;
+
+    return self.snapshot(template, snapshotName, { signal: options.signal })
+        .then(function () {
+            handle = new TemporaryVM(self, template, function () {
+                return self.poweroff(template)
+                    .then(function () {
+                        return self.revertToSnapshot(template, snapshotName);
+                    })
+                    .then(function () {
+                        return self.deleteSnapshot(template, snapshotName);
+                    });
+            });
+
+            if (options.start === false) return null;
+
+            return self.start(template, false, { signal: options.signal })
+                .then(function () {
+                    return self.waitForGuestReady(template, {
+                        timeout: options.timeout,
+                        signal: options.signal
+                    });
+                });
+        })
+        .then(function () {
+            return handle;
+        }, function (err) {
+            if (!handle) throw err;
+
+            return handle.dispose()
+                .catch(function () {})
+                .then(function () {
+                    throw err;
+                });
+        });
+};
+
+/**
+ * Runs `fn` with a temporary VM (see `createTemporaryVM`), and cleans it up afterwards, even if `fn` fails
+ * @param {String} template The vmx file of the VM to use
+ * @param {function(TemporaryVM):(Promise|*)} fn
+ * @param {Object?} options See `createTemporaryVM`
+ * @returns {Promise.<*>} Resolves to the result of `fn`
+ */
+VMRun.prototype.withTemporaryVM = function (template, fn, options) {
+    var self = this;
+
+    return self.createTemporaryVM(template, options)
+        .then(function (vm) {
+            return Promise.resolve()
+                .then(function () {
+                    return fn(vm);
+                })
+                .then(function (result) {
+                    return vm.dispose()
+                        .then(function () {
+                            return result;
+                        });
+                }, function (err) {
+                    return vm.dispose()
+                        .catch(function (disposeError) {
+                            self._options.logger.warn('Could not clean up temporary VM ' + vm.vmxFile + ': ' + disposeError.message);
+                        })
+                        .then(function () {
+                            throw err;
+                        });
+                });
+        });
+};
+
+/**
+ * Creates a lab - a set of VMs brought up and down together, in dependency order:
+ * ```
+ * vms:
+ *   dc:
+ *     vmx: /vms/dc/dc.vmx
+ *     snapshot: Clean
+ *   client:
+ *     vmx: /vms/client/client.vmx
+ *     dependsOn: [dc]
+ * ```
+ * @param {LabSpec|String} spec The spec, or its JSON or YAML text
+ * @returns {Lab} Throws a `TypeError` for invalid specs
+ */
+VMRun.prototype.lab = function (spec) {
+    return new lab.Lab(this, typeof spec === 'string' ? lab.parseSpec(spec) : spec);
+};
+
+/**
+ * Reads a JSON or YAML lab spec (see `lab`)
+ * @param {String} file
+ * @returns {Promise.<Lab>}
+ */
+VMRun.prototype.loadLab = function (file) {
+    var self = this;
+
+    return lab.readSpec(file)
+        .then(function (spec) {
+            return self.lab(spec);
+        });
 };
 
 /**
  * @type {VMRun}
  */
 module.exports = new VMRun();
+
+module.exports.VirtualMachine = VirtualMachine;
+module.exports.TemporaryVM = TemporaryVM;
+module.exports.GuestFs = GuestFs;
+module.exports.Lab = lab.Lab;
+module.exports.NetworkAdapterType = NetworkAdapterType;
+module.exports.VMState = VMState;
+module.exports.Vmx = vmx.Vmx;
+module.exports.vmx = vmx;
+
+// Testing without VMware
+module.exports.FakeVMRun = FakeVMRun;
+module.exports.recordingExecutor = recording.recordingExecutor;
+module.exports.replayExecutor = recording.replayExecutor;
+
+// Error classes, so callers can branch on the type of failure
+module.exports.VMRunError = errors.VMRunError;
+module.exports.VMNotPoweredOnError = errors.VMNotPoweredOnError;
+module.exports.GuestAuthenticationError = errors.GuestAuthenticationError;
+module.exports.ToolsNotRunningError = errors.ToolsNotRunningError;
+module.exports.GuestFileNotFoundError = errors.GuestFileNotFoundError;
+module.exports.VMLockedError = errors.VMLockedError;
+module.exports.InvalidSnapshotError = errors.InvalidSnapshotError;
+module.exports.HostConnectionError = errors.HostConnectionError;
+module.exports.VMRunNotFoundError = errors.VMRunNotFoundError;
+module.exports.GuestProgramError = errors.GuestProgramError;
+module.exports.VMRunTimeoutError = errors.VMRunTimeoutError;
+module.exports.VMRunAbortError = errors.VMRunAbortError;
+module.exports.VMRunUnsupportedError = errors.VMRunUnsupportedError;
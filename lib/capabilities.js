@@ -0,0 +1,147 @@
+'use strict';
+
+var spawn = require('./spawn');
+
+// Milliseconds to wait for vmrun to print its usage
+var HELP_TIMEOUT = 10000;
+
+// Commands which vmrun lists, but the host type rejects
+var HOST_TYPE_UNSUPPORTED = {
+    player: [
+        'listSnapshots', 'snapshot', 'deleteSnapshot', 'revertToSnapshot',
+        'clone', 'register', 'unregister', 'listRegisteredVM',
+        'listHostNetworks', 'listPortForwardings', 'setPortForwarding', 'deletePortForwarding'
+    ]
+};
+
+// Per executor, then per path
+var cache = new WeakMap();
+
+/**
+ * Runs vmrun without arguments, which prints the version and usage and exits with an error code
+ * @param {String} vmrunPath
+ * @param {VMRunExecutor?} executor Defaults to spawning the process
+ * @returns {Promise.<String>} Rejects if vmrun could not be executed
+ */
+var readHelp = function (vmrunPath, executor) {
+    var controller = new AbortController();
+    var timer = setTimeout(function () {
+        controller.abort();
+    }, HELP_TIMEOUT);
+
+    var output = function (std) {
+        clearTimeout(timer);
+        return (std.stdout || '') + '\n' + (std.stderr || '');
+    };
+
+    return (executor || spawn.spawnProcess)(vmrunPath, [], { signal: controller.signal })
+        .then(output, function (err) {
+            if (err.name === 'AbortError' || typeof err.code !== 'number') {
+                clearTimeout(timer);
+                throw err;
+            }
+            return output(err);
+        });
+};
+
+/**
+ * Parses the version and the list of commands out of vmrun's usage
+ * @param {String} help
+ * @returns {{version: String|null, build: String|null, commands: [String]}}
+ */
+var parseHelp = function (help) {
+    var matches = help.match(/vmrun version\s+([0-9][0-9.]*)(?:\s+build-([0-9]+))?/i);
+    var commands = [];
+    var inCommands = false;
+
+    help.split(/\r?\n/).forEach(function (line) {
+        // Sections look like "POWER COMMANDS    PARAMETERS    DESCRIPTION"
+        if (/^[A-Z][A-Z ]*COMMANDS\b/.test(line)) {
+            inCommands = true;
+            return;
+        }
+
+        if (/^[A-Z][A-Z-]+\s*$/.test(line)) {
+            inCommands = false;
+            return;
+        }
+
+        // Some commands are spelled with a capital, i.e. "CopyFileFromHostToGuest"
+        var command = inCommands && line.match(/^([A-Za-z]+)(\s|$)/);
+        if (command && !commands.some(function (x) {
+            return x.toLowerCase() === command[1].toLowerCase();
+        })) {
+            commands.push(command[1]);
+        }
+    });
+
+    return {
+        version: matches ? matches[1] : null,
+        build: matches ? matches[2] || null : null,
+        commands: commands
+    };
+};
+
+/**
+ * Reads the capabilities of a vmrun binary, caching them per path
+ * @param {String} vmrunPath
+ * @param {Object?} options
+ * @param {Boolean?} options.refresh Ignore a cached result
+ * @param {VMRunExecutor?} options.executor Defaults to spawning the process
+ * @returns {Promise.<{version: String|null, build: String|null, commands: [String]}>}
+ */
+var getCapabilities = function (vmrunPath, options) {
+    options = options || {};
+
+    var executor = options.executor || spawn.spawnProcess;
+    if (!cache.has(executor)) {
+        cache.set(executor, {});
+    }
+    var paths = cache.get(executor);
+
+    if (paths[vmrunPath] && !options.refresh) {
+        return paths[vmrunPath];
+    }
+
+    var promise = paths[vmrunPath] = readHelp(vmrunPath, executor).then(parseHelp);
+
+    promise.catch(function () {
+        if (paths[vmrunPath] === promise) {
+            delete paths[vmrunPath];
+        }
+    });
+
+    return promise;
+};
+
+/**
+ * @param {{commands: [String]}} capabilities
+ * @param {String} command
+ * @param {String} hostType
+ * @returns {String|null} Why the command is not supported, or null if it is
+ */
+var unsupportedReason = function (capabilities, command, hostType) {
+    var lower = (command + '').toLowerCase();
+    var matches = function (x) {
+        return x.toLowerCase() === lower;
+    };
+
+    // An unexpected usage format should not block anything
+    if (capabilities.commands.length && !capabilities.commands.some(matches)) {
+        return 'not supported by vmrun' + (capabilities.version ? ' ' + capabilities.version : '');
+    }
+
+    if ((HOST_TYPE_UNSUPPORTED[hostType] || []).some(matches)) {
+        return 'not supported by host type "' + hostType + '"';
+    }
+
+    return null;
+};
+
+module.exports = {
+    HOST_TYPE_UNSUPPORTED: HOST_TYPE_UNSUPPORTED,
+    readHelp: readHelp,
+    parseHelp: parseHelp,
+    getCapabilities: getCapabilities,
+    unsupportedReason: unsupportedReason
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+var abortError = function () {
+    var err = new Error('The operation was aborted while queued');
+    err.name = 'AbortError';
+    return err;
+};
+
+/**
+ * Runs tasks in FIFO order, with at most one running task per key and a cap on the number of running tasks.
+ * Tasks without a key only count against the cap.
+ * @constructor
+ */
+var Scheduler = function () {
+    this._waiting = [];
+    this._running = 0;
+    this._runningKeys = {};
+    this._started = 0;
+    this._totalWait = 0;
+    this._maxWait = 0;
+};
+
+/**
+ * @param {Object} options
+ * @param {String?} options.key Tasks with the same key run one at a time
+ * @param {Number?} options.limit Do not start while this many tasks are running, 0 for no limit
+ * @param {AbortSignal?} options.signal Removes the task from the queue if it has not started yet,
+ *   rejecting with an error named 'AbortError'
+ * @param {function():Promise} fn
+ * @returns {Promise} Settles like the promise returned by `fn`
+ */
+Scheduler.prototype.schedule = function (options, fn) {
+    var self = this;
+
+    return new Promise(function (resolve, reject) {
+        var task = {
+            key: options.key || null,
+            limit: options.limit || 0,
+            fn: fn,
+            resolve: resolve,
+            reject: reject,
+            signal: options.signal || null,
+            queuedAt: Date.now(),
+            onAbort: null
+        };
+
+        if (task.signal) {
+            if (task.signal.aborted) {
+                return reject(abortError());
+            }
+
+            task.onAbort = function () {
+                var index = self._waiting.indexOf(task);
+                if (index !== -1) {
+                    self._waiting.splice(index, 1);
+                    reject(abortError());
+                    self._pump();
+                }
+            };
+            task.signal.addEventListener('abort', task.onAbort);
+        }
+
+        self._waiting.push(task);
+        self._pump();
+    });
+};
+
+/**
+ * Starts the waiting tasks which are allowed to run
+ */
+Scheduler.prototype._pump = function () {
+    var self = this;
+    var i = 0;
+
+    while (i < self._waiting.length) {
+        var task = self._waiting[i];
+
+        var overLimit = task.limit > 0 && self._running >= task.limit;
+        var keyBusy = task.key !== null && self._runningKeys[task.key];
+
+        if (overLimit || keyBusy) {
+            i++;
+            continue;
+        }
+
+        self._waiting.splice(i, 1);
+        self._start(task);
+    }
+};
+
+/**
+ * @param {Object} task
+ */
+Scheduler.prototype._start = function (task) {
+    var self = this;
+    var wait = Date.now() - task.queuedAt;
+
+    if (task.signal) {
+        task.signal.removeEventListener('abort', task.onAbort);
+    }
+
+    self._running++;
+    self._started++;
+    self._totalWait += wait;
+    self._maxWait = Math.max(self._maxWait, wait);
+    if (task.key !== null) {
+        self._runningKeys[task.key] = true;
+    }
+
+    var finish = function () {
+        self._running--;
+        if (task.key !== null) {
+            delete self._runningKeys[task.key];
+        }
+        self._pump();
+    };
+
+    Promise.resolve()
+        .then(task.fn)
+        .then(function (result) {
+            finish();
+            task.resolve(result);
+        }, function (err) {
+            finish();
+            task.reject(err);
+        });
+};
+
+/**
+ * @returns {{running: Number, waiting: Number, started: Number, averageWait: Number, maxWait: Number,
+ *   queues: Object<String, {running: Boolean, waiting: Number}>}} Wait times are in milliseconds
+ */
+Scheduler.prototype.stats = function () {
+    var queues = {};
+
+    var queue = function (key) {
+        return queues[key] || (queues[key] = { running: false, waiting: 0 });
+    };
+
+    Object.keys(this._runningKeys).forEach(function (key) {
+        queue(key).running = true;
+    });
+
+    this._waiting.forEach(function (task) {
+        if (task.key !== null) {
+            queue(task.key).waiting++;
+        }
+    });
+
+    return {
+        running: this._running,
+        waiting: this._waiting.length,
+        started: this._started,
+        averageWait: this._started ? Math.round(this._totalWait / this._started) : 0,
+        maxWait: this._maxWait,
+        queues: queues
+    };
+};
+
+/**
+ * Creates a function which runs tasks with at most `limit` of them running at once, in FIFO order.
+ * Tasks which schedule more tasks share the same cap.
+ * Once a task fails, tasks which have not started yet are skipped, rejecting with the same error.
+ * @param {Number} limit
+ * @returns {function(function():Promise):Promise}
+ */
+var limiter = function (limit) {
+    var scheduler = new Scheduler();
+    var failure = null;
+
+    return function (fn) {
+        return scheduler.schedule({ limit: limit > 0 ? limit : 1 }, function () {
+            if (failure) {
+                throw failure.error;
+            }
+
+            // Recorded before the scheduler starts the next task
+            return Promise.resolve().then(fn)
+                .catch(function (err) {
+                    if (!failure) {
+                        failure = { error: err };
+                    }
+                    throw err;
+                });
+        });
+    };
+};
+
+module.exports = {
+    limiter: limiter,
+    Scheduler: Scheduler
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+var fs = require('fs');
+var Path = require('path');
+var capabilities = require('./capabilities');
+var errors = require('./errors');
+
+var cache = {};
+
+/**
+ * Standard install locations of vmrun per host platform
+ * @param {String} platform
+ * @param {Object} env
+ * @returns {[String]}
+ */
+var standardLocations = function (platform, env) {
+    switch (platform) {
+        case 'win32':
+            return [env['ProgramFiles(x86)'], env.ProgramFiles, 'C:\\Program Files (x86)', 'C:\\Program Files']
+                .filter(Boolean)
+                .reduce(function (list, programFiles) {
+                    return list.concat([
+                        Path.win32.join(programFiles, 'VMware', 'VMware Workstation', 'vmrun.exe'),
+                        Path.win32.join(programFiles, 'VMware', 'VMware Player', 'vmrun.exe'),
+                        Path.win32.join(programFiles, 'VMware', 'VMware VIX', 'vmrun.exe')
+                    ]);
+                }, []);
+
+        case 'darwin':
+            return [
+                '/Applications/VMware Fusion.app/Contents/Library/vmrun',
+                '/Applications/VMware Fusion Tech Preview.app/Contents/Library/vmrun',
+                '/usr/local/bin/vmrun'
+            ];
+
+        default:
+            // Workstation, Player and the VIX API on Linux
+            return [
+                '/usr/bin/vmrun',
+                '/usr/local/bin/vmrun',
+                '/usr/lib/vmware/bin/vmrun',
+                '/usr/lib/vmware-vix/bin/vmrun',
+                '/opt/vmware/bin/vmrun'
+            ];
+    }
+};
+
+/**
+ * Lists the places to look for vmrun, in order.
+ * `VMRUN_PATH` in the environment overrides everything else.
+ * @param {Object?} options
+ * @param {Object?} options.env Defaults to `process.env`
+ * @param {String?} options.platform Defaults to `process.platform`
+ * @returns {[String]}
+ */
+var candidates = function (options) {
+    options = options || {};
+
+    var env = options.env || process.env;
+    var platform = options.platform || process.platform;
+    var pathModule = platform === 'win32' ? Path.win32 : Path.posix;
+
+    if (env.VMRUN_PATH) {
+        return [env.VMRUN_PATH];
+    }
+
+    var binary = platform === 'win32' ? 'vmrun.exe' : 'vmrun';
+    var pathDirs = (env.PATH || env.Path || '').split(platform === 'win32' ? ';' : ':');
+
+    var list = pathDirs
+        .filter(Boolean)
+        .map(function (dir) {
+            return pathModule.join(dir.replace(/^"(.*)"$/, '$1'), binary);
+        })
+        .concat(standardLocations(platform, env));
+
+    return list.filter(function (x, i) {
+        return list.indexOf(x) === i;
+    });
+};
+
+/**
+ * Checks that a path is an executable vmrun, by running it without arguments and reading the version it prints
+ * @param {String} path
+ * @returns {Promise.<{path: String, version: String|null, build: String|null}|null>} null if it is not a working vmrun
+ */
+var probe = function (path) {
+    return fs.promises.access(path, fs.constants.X_OK)
+        .then(function () {
+            return capabilities.readHelp(path);
+        })
+        .then(function (help) {
+            var parsed = capabilities.parseHelp(help);
+            if (!parsed.version) return null;
+
+            return {
+                path: path,
+                version: parsed.version,
+                build: parsed.build
+            };
+        }, function () {
+            return null;
+        });
+};
+
+/**
+ * Finds a working vmrun binary, caching the result
+ * @param {Object?} options
+ * @param {Object?} options.env Defaults to `process.env`
+ * @param {String?} options.platform Defaults to `process.platform`
+ * @param {Boolean?} options.refresh Ignore a cached result
+ * @param {function(String):Promise?} options.probe Checks a candidate like `probe`, which it defaults to
+ * @returns {Promise.<{path: String, version: String|null, build: String|null}>}
+ *   Rejects with a `VMRunNotFoundError` listing the locations tried in `tried`
+ */
+var discover = function (options) {
+    options = options || {};
+
+    var check = options.probe || probe;
+    var tried = candidates(options);
+    var key = tried.join('\n');
+
+    if (cache[key] && !options.refresh) {
+        return cache[key];
+    }
+
+    var next = function (index) {
+        if (index >= tried.length) {
+            var err = new errors.VMRunNotFoundError('vmrun not found. Tried:\n    ' + tried.join('\n    '));
+            err.tried = tried;
+            throw err;
+        }
+
+        return check(tried[index])
+            .then(function (found) {
+                return found || next(index + 1);
+            });
+    };
+
+    var promise = cache[key] = Promise.resolve().then(function () {
+        return next(0);
+    });
+
+    // Do not cache failures, vmrun may be installed later
+    promise.catch(function () {
+        if (cache[key] === promise) {
+            delete cache[key];
+        }
+    });
+
+    return promise;
+};
+
+module.exports = {
+    candidates: candidates,
+    probe: probe,
+    discover: discover
+};
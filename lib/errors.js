@@ -0,0 +1,181 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * Base class for every failure reported by a vmrun invocation
+ * @constructor
+ * @param {String} message
+ * @param {Object?} details
+ * @param {String?} details.command The vmrun command (i.e. 'start')
+ * @param {[String]?} details.args Sanitized arguments that were passed to vmrun
+ * @param {String?} details.cmd The command line that was executed
+ * @param {Number?} details.exitCode
+ * @param {String?} details.stdout
+ * @param {String?} details.stderr
+ */
+var VMRunError = function (message, details) {
+    details = details || {};
+
+    Error.call(this);
+    this.message = message;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.command = details.command;
+    this.args = details.args;
+    this.cmd = details.cmd;
+    this.exitCode = details.exitCode === undefined ? null : details.exitCode;
+    this.stdout = details.stdout || '';
+    this.stderr = details.stderr || '';
+};
+util.inherits(VMRunError, Error);
+VMRunError.prototype.name = 'VMRunError';
+
+/**
+ * @param {String} name
+ * @param {Function} Parent
+ * @returns {Function}
+ */
+var defineError = function (name, Parent) {
+    var ErrorClass = function (message, details) {
+        Parent.call(this, message, details);
+    };
+    util.inherits(ErrorClass, Parent);
+    ErrorClass.prototype.name = name;
+    return ErrorClass;
+};
+
+/** The virtual machine is not powered on */
+var VMNotPoweredOnError = defineError('VMNotPoweredOnError', VMRunError);
+
+/** Guest credentials were rejected */
+var GuestAuthenticationError = defineError('GuestAuthenticationError', VMRunError);
+
+/** VMware Tools are not running in the guest */
+var ToolsNotRunningError = defineError('ToolsNotRunningError', VMRunError);
+
+/** A file or directory was not found in the guest */
+var GuestFileNotFoundError = defineError('GuestFileNotFoundError', VMRunError);
+
+/** The virtual machine is locked or in use by another process */
+var VMLockedError = defineError('VMLockedError', VMRunError);
+
+/** The snapshot does not exist or its name is ambiguous */
+var InvalidSnapshotError = defineError('InvalidSnapshotError', VMRunError);
+
+/** Could not connect to the VMware host */
+var HostConnectionError = defineError('HostConnectionError', VMRunError);
+
+/** The vmrun binary could not be executed */
+var VMRunNotFoundError = defineError('VMRunNotFoundError', VMRunError);
+
+/** A program run in the guest exited with a non-zero exit code, which is in `guestExitCode` */
+var GuestProgramError = defineError('GuestProgramError', VMRunError);
+
+/** The vmrun process was killed after exceeding its timeout */
+var VMRunTimeoutError = defineError('VMRunTimeoutError', VMRunError);
+
+/** The vmrun process was killed because the operation was aborted */
+var VMRunAbortError = defineError('VMRunAbortError', VMRunError);
+
+/** The command is not supported by the vmrun version or the host type, found before running it */
+var VMRunUnsupportedError = defineError('VMRunUnsupportedError', VMRunError);
+
+// Order matters - the first match wins
+var MESSAGE_PATTERNS = [
+    [GuestProgramError, /exited with non-zero exit code/i],
+    [VMNotPoweredOnError, /not powered on/i],
+    [ToolsNotRunningError, /tools (are|is) not (running|installed)|guest operations agent/i],
+    [GuestAuthenticationError, /invalid user name or password|authentication fail|unable to authenticate/i],
+    [InvalidSnapshotError, /snapshot.*(not found|does not exist|invalid|incorrect)|(invalid|incorrect) snapshot|does not uniquely identify one snapshot/i],
+    [GuestFileNotFoundError, /(file|directory|path) (was )?not found|(file|directory|path) does not exist|no such file|cannot find the (file|path)/i],
+    [VMLockedError, /in use|is locked|failed to lock|lock file/i],
+    [HostConnectionError, /(cannot|could not|unable to|failed to) connect|connection (refused|failed|timed out|reset)|host is (not available|unreachable)/i]
+];
+
+/**
+ * Extracts the message that vmrun printed, without the "Error: " prefix
+ * @param {String?} stdout
+ * @param {String?} stderr
+ * @returns {String}
+ */
+var extractMessage = function (stdout, stderr) {
+    var output = ((stderr || stdout || '') + '').trim();
+    if (/^Error: /.test(output)) {
+        output = output.substr(7).trim();
+    }
+    return output;
+};
+
+/**
+ * Creates the most specific error for a failed vmrun invocation
+ * @param {Object} details
+ * @param {String?} details.command
+ * @param {[String]?} details.args
+ * @param {String?} details.cmd
+ * @param {Number|String?} details.exitCode
+ * @param {String?} details.stdout
+ * @param {String?} details.stderr
+ * @param {String?} details.message Fallback message when vmrun did not print anything
+ * @returns {VMRunError}
+ */
+var createError = function (details) {
+    var exitCode = typeof details.exitCode === 'number' ? details.exitCode : null;
+    var message = extractMessage(details.stdout, details.stderr) ||
+        details.message ||
+        ('vmrun exited with code ' + exitCode);
+
+    var ErrorClass = VMRunError;
+
+    if (exitCode === 127 ||
+        details.exitCode === 'ENOENT' ||
+        /command not found|is not recognized as an internal or external command/i.test(message)) {
+        ErrorClass = VMRunNotFoundError;
+    } else {
+        for (var i = 0; i < MESSAGE_PATTERNS.length; i++) {
+            if (MESSAGE_PATTERNS[i][1].test(message)) {
+                ErrorClass = MESSAGE_PATTERNS[i][0];
+                break;
+            }
+        }
+    }
+
+    if (details.cmd) {
+        message += '\n    cmd: ' + details.cmd;
+    }
+
+    var err = new ErrorClass(message, {
+        command: details.command,
+        args: details.args,
+        cmd: details.cmd,
+        exitCode: exitCode,
+        stdout: details.stdout,
+        stderr: details.stderr
+    });
+
+    if (err instanceof GuestProgramError) {
+        var matches = message.match(/exit code:?\s*(-?[0-9]+)/i);
+        err.guestExitCode = matches ? parseInt(matches[1], 10) : null;
+    }
+
+    return err;
+};
+
+module.exports = {
+    VMRunError: VMRunError,
+    VMNotPoweredOnError: VMNotPoweredOnError,
+    GuestAuthenticationError: GuestAuthenticationError,
+    ToolsNotRunningError: ToolsNotRunningError,
+    GuestFileNotFoundError: GuestFileNotFoundError,
+    VMLockedError: VMLockedError,
+    InvalidSnapshotError: InvalidSnapshotError,
+    HostConnectionError: HostConnectionError,
+    VMRunNotFoundError: VMRunNotFoundError,
+    GuestProgramError: GuestProgramError,
+    VMRunTimeoutError: VMRunTimeoutError,
+    VMRunAbortError: VMRunAbortError,
+    VMRunUnsupportedError: VMRunUnsupportedError,
+    createError: createError
+};
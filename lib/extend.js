@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Copies the own properties of every source into `dest`, later sources winning. Falsy sources are skipped.
+ * @param {Object} dest
+ * @param {...Object} sources
+ * @returns {Object} dest
+ */
+var extend = function (dest) {
+
+    for (var i = 1, len = arguments.length; i < len; i++) {
+        var o = arguments[i];
+        if (!o) continue;
+
+        for (var key in o) {
+            if (!o.hasOwnProperty(key)) continue;
+            dest[key] = o[key];
+        }
+    }
+
+    return dest;
+};
+
+module.exports = extend;
@@ -0,0 +1,909 @@
+'use strict';
+
+var fs = require('fs');
+var AUTH_FLAGS = require('./redact').AUTH_FLAGS;
+
+// Commands per section of the usage, spelled as vmrun spells them
+var USAGE_SECTIONS = {
+    'POWER COMMANDS': ['start', 'stop', 'reset', 'suspend', 'pause', 'unpause'],
+    'SNAPSHOT COMMANDS': ['listSnapshots', 'snapshot', 'deleteSnapshot', 'revertToSnapshot'],
+    'GUEST OS COMMANDS': [
+        'runProgramInGuest', 'fileExistsInGuest', 'directoryExistsInGuest', 'setSharedFolderState',
+        'addSharedFolder', 'removeSharedFolder', 'enableSharedFolders', 'disableSharedFolders',
+        'listProcessesInGuest', 'killProcessInGuest', 'runScriptInGuest', 'deleteFileInGuest',
+        'createDirectoryInGuest', 'deleteDirectoryInGuest', 'CreateTempfileInGuest', 'listDirectoryInGuest',
+        'CopyFileFromHostToGuest', 'CopyFileFromGuestToHost', 'renameFileInGuest', 'captureScreen',
+        'writeVariable', 'readVariable', 'getGuestIPAddress'
+    ],
+    'GENERAL COMMANDS': [
+        'list', 'upgradevm', 'installTools', 'checkToolsState', 'register', 'unregister',
+        'listRegisteredVM', 'deleteVM', 'clone', 'listNetworkAdapters', 'addNetworkAdapter',
+        'configureNetworkAdapter', 'deleteNetworkAdapter'
+    ],
+    'HOST NETWORK COMMANDS': ['listHostNetworks', 'listPortForwardings', 'setPortForwarding', 'deletePortForwarding']
+};
+
+var GUEST_COMMANDS = [
+    'runprograminguest', 'runscriptinguest', 'fileexistsinguest', 'directoryexistsinguest',
+    'listprocessesinguest', 'killprocessinguest', 'deletefileinguest', 'createdirectoryinguest',
+    'deletedirectoryinguest', 'createtempfileinguest', 'listdirectoryinguest', 'copyfilefromhosttoguest',
+    'copyfilefromguesttohost', 'renamefileinguest', 'capturescreen'
+];
+
+/**
+ * @param {String} path
+ * @returns {String} With forward slashes and without a trailing one
+ */
+var normalizeGuestPath = function (path) {
+    var normalized = (path + '').replace(/\\/g, '/').replace(/\/+$/, '');
+    return normalized || '/';
+};
+
+/**
+ * @param {String} path Normalized
+ * @returns {String}
+ */
+var guestParent = function (path) {
+    var index = path.lastIndexOf('/');
+    if (index <= 0) return index === 0 ? '/' : path.replace(/[^:]*$/, '') || '/';
+    return path.slice(0, index) || '/';
+};
+
+/**
+ * @param {{power: String, files: Object, directories: Object, variables: Object}} vm A VM, or a snapshot state
+ * @returns {{power: String, files: Object, directories: Object, variables: Object}} A deep copy
+ */
+var cloneGuestState = function (vm) {
+    var files = {};
+    Object.keys(vm.files).forEach(function (path) {
+        files[path] = Buffer.from(vm.files[path]);
+    });
+
+    return {
+        power: vm.power,
+        files: files,
+        directories: Object.assign({}, vm.directories),
+        variables: JSON.parse(JSON.stringify(vm.variables))
+    };
+};
+
+/**
+ * @param {String} message
+ * @returns {{exitCode: Number, stdout: String, stderr: String}}
+ */
+var failure = function (message) {
+    return { exitCode: 255, stdout: 'Error: ' + message + '\n', stderr: '' };
+};
+
+var success = function (stdout) {
+    return { exitCode: 0, stdout: stdout || '', stderr: '' };
+};
+
+// The host network an adapter of a type uses, when none is given
+var DEFAULT_VMNETS = { bridged: 'vmnet0', hostonly: 'vmnet1', nat: 'vmnet8' };
+
+/**
+ * @param {String} value
+ * @param {Number} width
+ * @returns {String} The value padded to a column of the width
+ */
+var column = function (value, width) {
+    value = value + '';
+    return value + new Array(Math.max(width - value.length, 1) + 1).join(' ');
+};
+
+/**
+ * @param {[String]} args The type, and the host network of a custom adapter
+ * @returns {{type: String, vmnet: String}|{exitCode: Number, stdout: String, stderr: String}} The adapter, or a failure
+ */
+var adapterFromArgs = function (args) {
+    var type = (args[0] || '').toLowerCase();
+    if (type !== 'custom' && !DEFAULT_VMNETS[type]) return failure('Invalid network adapter type: ' + args[0]);
+    if (type === 'custom' && !args[1]) return failure('A custom network adapter needs a host network');
+
+    return { type: type === 'hostonly' ? 'hostOnly' : type, vmnet: args[1] || DEFAULT_VMNETS[type] };
+};
+
+/**
+ * An in-memory simulation of vmrun, for testing code that uses VMRun without VMware.
+ * It models power state, snapshots, guest files and directories, processes, variables, shared folders,
+ * network adapters, host networks and their port forwardings, and prints what vmrun prints.
+ * Use its `executor` as the `executor` option.
+ * @constructor
+ * @param {Object?} options
+ * @param {String} options.version='1.17.0' The version printed in the usage
+ * @param {String} options.build='21139696'
+ * @param {[{name: String, type: String, dhcp: Boolean?, subnet: String?, mask: String?}]?} options.hostNetworks
+ *   Defaults to vmnet0 (bridged), vmnet1 (hostOnly) and vmnet8 (nat)
+ */
+var FakeVMRun = function (options) {
+    options = options || {};
+
+    this.version = options.version || '1.17.0';
+    this.build = options.build || '21139696';
+    this.vms = {};
+    this.hostNetworks = (options.hostNetworks || [
+        { name: 'vmnet0', type: 'bridged', dhcp: false },
+        { name: 'vmnet1', type: 'hostOnly', dhcp: true, subnet: '192.168.56.0', mask: '255.255.255.0' },
+        { name: 'vmnet8', type: 'nat', dhcp: true, subnet: '192.168.174.0', mask: '255.255.255.0' }
+    ]).map(function (network) {
+        return Object.assign({ dhcp: false, subnet: null, mask: null }, network, { portForwardings: [] });
+    });
+    this.calls = [];
+    this._programHandler = null;
+    this.executor = this.execute.bind(this);
+};
+
+/**
+ * @typedef {Object} FakeVM
+ * @property {String} vmxFile
+ * @property {String} power 'off' | 'on' | 'suspended' | 'paused'
+ * @property {String} toolsState 'running' | 'installed' | 'unknown'. Guest operations need 'running'
+ * @property {String|null} ipAddress
+ * @property {{username: String, password: String}|null} credentials Guest credentials, null to accept any
+ * @property {Object<String, Buffer>} files Guest files per path, with forward slashes
+ * @property {Object<String, Boolean>} directories Guest directories per path, with forward slashes
+ * @property {[{pid: Number, owner: String, cmd: String}]} processes
+ * @property {{guestVar: Object, runtimeConfig: Object, guestEnv: Object}} variables
+ * @property {{enabled: Boolean, folders: Object<String, {hostPath: String, writable: Boolean}>}} sharedFolders
+ * @property {[{name: String, children: Array}]} snapshots
+ * @property {[{index: Number, type: String, vmnet: String}]} networkAdapters
+ * @property {Boolean} registered
+ */
+
+/**
+ * Adds a VM to the simulation
+ * @param {String} vmxFile
+ * @param {Object?} spec Initial values for the `FakeVM` fields, plus:
+ * @param {Object<String, String|Buffer>?} spec.files Guest files, whose parent directories are created
+ * @param {[String]?} spec.directories Guest directories
+ * @param {[{pid: Number?, owner: String?, cmd: String}]?} spec.processes
+ * @param {[String]?} spec.snapshots Snapshot names, each a child of the previous one
+ * @param {[{type: String, vmnet: String?}]?} spec.networkAdapters Defaults to one NAT adapter
+ * @returns {FakeVM}
+ */
+FakeVMRun.prototype.addVM = function (vmxFile, spec) {
+    var self = this;
+    spec = spec || {};
+
+    var vm = {
+        vmxFile: vmxFile,
+        power: spec.power || 'off',
+        toolsState: spec.toolsState || 'running',
+        ipAddress: spec.ipAddress === undefined ? '192.168.56.' + (100 + Object.keys(self.vms).length) : spec.ipAddress,
+        credentials: spec.credentials || null,
+        files: {},
+        directories: { '/': true },
+        processes: [],
+        nextPid: 1000,
+        variables: { guestVar: {}, runtimeConfig: {}, guestEnv: {} },
+        sharedFolders: { enabled: false, folders: {} },
+        snapshots: [],
+        currentSnapshot: null,
+        networkAdapters: [],
+        registered: !!spec.registered
+    };
+
+    (spec.networkAdapters || [{ type: 'nat' }]).forEach(function (adapter, index) {
+        vm.networkAdapters.push(Object.assign({ index: index }, adapterFromArgs([adapter.type, adapter.vmnet])));
+    });
+
+    (spec.directories || []).forEach(function (path) {
+        self._mkdirp(vm, normalizeGuestPath(path));
+    });
+
+    Object.keys(spec.files || {}).forEach(function (path) {
+        var normalized = normalizeGuestPath(path);
+        self._mkdirp(vm, guestParent(normalized));
+        vm.files[normalized] = Buffer.from(spec.files[path]);
+    });
+
+    (spec.processes || []).forEach(function (process) {
+        vm.processes.push({
+            pid: process.pid || vm.nextPid++,
+            owner: process.owner || 'root',
+            cmd: process.cmd
+        });
+    });
+
+    (spec.snapshots || []).forEach(function (name) {
+        self._takeSnapshot(vm, name);
+    });
+
+    self.vms[vmxFile] = vm;
+    return vm;
+};
+
+/**
+ * @param {String} vmxFile
+ * @returns {FakeVM|undefined}
+ */
+FakeVMRun.prototype.getVM = function (vmxFile) {
+    return this.vms[vmxFile];
+};
+
+/**
+ * Sets what running a program in a guest does. By default programs exit with 0 and produce nothing.
+ * The handler may change the guest state (i.e. write files into `vm.files`).
+ * @param {function({vm: FakeVM, program: String, args: [String], noWait: Boolean}):({exitCode: Number}|undefined)} handler
+ * @returns {FakeVMRun}
+ */
+FakeVMRun.prototype.onRunProgram = function (handler) {
+    this._programHandler = handler;
+    return this;
+};
+
+FakeVMRun.prototype._mkdirp = function (vm, path) {
+    for (var dir = path; !vm.directories[dir]; dir = guestParent(dir)) {
+        vm.directories[dir] = true;
+    }
+};
+
+FakeVMRun.prototype._takeSnapshot = function (vm, name) {
+    var node = { name: name, children: [], state: cloneGuestState(vm) };
+    (vm.currentSnapshot ? vm.currentSnapshot.children : vm.snapshots).push(node);
+    vm.currentSnapshot = node;
+};
+
+/**
+ * @param {FakeVM} vm
+ * @param {String} name A name, or a path of names separated by '/'
+ * @returns {{node: Object, siblings: Array}|null}
+ */
+FakeVMRun.prototype._findSnapshot = function (vm, name) {
+    var found = [];
+    var parts = name.split('/');
+
+    var search = function (nodes) {
+        nodes.forEach(function (node) {
+            if (node.name === parts[parts.length - 1]) {
+                found.push({ node: node, siblings: nodes });
+            }
+            search(node.children);
+        });
+    };
+
+    if (parts.length > 1) {
+        var nodes = vm.snapshots, match = null;
+        for (var i = 0; i < parts.length; i++) {
+            match = nodes.filter(function (node) {
+                return node.name === parts[i];
+            })[0];
+            if (!match) return null;
+            if (i < parts.length - 1) nodes = match.children;
+        }
+        return { node: match, siblings: nodes };
+    }
+
+    search(vm.snapshots);
+    return found.length === 1 ? found[0] : (found.length ? 'ambiguous' : null);
+};
+
+/**
+ * Runs a simulated vmrun command, with the same contract as the `executor` option
+ * @param {String} file Ignored
+ * @param {[String]} args
+ * @param {Object?} options
+ * @param {AbortSignal?} options.signal
+ * @returns {Promise.<{stdout: String, stderr: String}>}
+ */
+FakeVMRun.prototype.execute = function (file, args, options) {
+    var self = this;
+    var signal = options && options.signal;
+
+    return Promise.resolve().then(function () {
+        if (signal && signal.aborted) {
+            var abortError = new Error('The operation was aborted');
+            abortError.name = 'AbortError';
+            abortError.code = 'ABORT_ERR';
+            throw abortError;
+        }
+
+        self.calls.push(args.slice());
+
+        var result = self._run(args);
+        if (result.exitCode === 0) {
+            return { stdout: result.stdout, stderr: result.stderr };
+        }
+
+        var err = new Error('Command failed: ' + file + ' ' + args.join(' ') + '\n' + result.stdout);
+        err.code = result.exitCode;
+        err.stdout = result.stdout;
+        err.stderr = result.stderr;
+        throw err;
+    });
+};
+
+/**
+ * @param {[String]} argv
+ * @returns {{exitCode: Number, stdout: String, stderr: String}}
+ */
+FakeVMRun.prototype._run = function (argv) {
+    var flags = {};
+    var i = 0;
+
+    while (i < argv.length && AUTH_FLAGS.indexOf(argv[i]) !== -1) {
+        flags[argv[i]] = argv[i + 1];
+        i += 2;
+    }
+
+    if (i >= argv.length) {
+        return { exitCode: 255, stdout: this._usage(), stderr: '' };
+    }
+
+    var command = argv[i].toLowerCase();
+    var args = argv.slice(i + 1);
+    var handler = this._commands[command];
+
+    if (!handler) {
+        return failure('Unrecognized command: ' + argv[i]);
+    }
+
+    if (['list', 'listregisteredvm', 'listhostnetworks', 'listportforwardings', 'setportforwarding',
+        'deleteportforwarding'].indexOf(command) !== -1) {
+        return handler.call(this, null, args, flags);
+    }
+
+    var vm = this.vms[args[0]];
+    if (!vm) {
+        return failure('Cannot open VM: ' + args[0] + ', The virtual machine cannot be found');
+    }
+
+    if (GUEST_COMMANDS.indexOf(command) !== -1) {
+        if (vm.power !== 'on') {
+            return failure('The virtual machine is not powered on: ' + vm.vmxFile);
+        }
+        if (vm.toolsState !== 'running') {
+            return failure('The VMware Tools are not running in the virtual machine: ' + vm.vmxFile);
+        }
+        if (vm.credentials && (flags['-gu'] !== vm.credentials.username || flags['-gp'] !== vm.credentials.password)) {
+            return failure('Invalid user name or password for the guest OS');
+        }
+    }
+
+    return handler.call(this, vm, args.slice(1), flags);
+};
+
+FakeVMRun.prototype._usage = function () {
+    var lines = [
+        'vmrun version ' + this.version + ' build-' + this.build,
+        '',
+        'Usage: vmrun [AUTHENTICATION-FLAGS] COMMAND [PARAMETERS]',
+        '',
+        'AUTHENTICATION-FLAGS',
+        '--------------------',
+        '   -T <hostType> (ws|fusion|player)',
+        '   -gu <userName in guest OS>',
+        '   -gp <password in guest OS>'
+    ];
+
+    Object.keys(USAGE_SECTIONS).forEach(function (section) {
+        lines.push('', '', section + '           PARAMETERS           DESCRIPTION', section.replace(/./g, '-'));
+        USAGE_SECTIONS[section].forEach(function (command) {
+            lines.push(command + '                Path to vmx file');
+        });
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+var notPoweredOn = function (vm) {
+    return failure('The virtual machine is not powered on: ' + vm.vmxFile);
+};
+
+var requireFile = function (vm, path) {
+    return vm.files[path] ? null : failure('A file was not found');
+};
+
+FakeVMRun.prototype._adapter = function (vm, index) {
+    return vm.networkAdapters.filter(function (adapter) {
+        return adapter.index === index;
+    })[0];
+};
+
+FakeVMRun.prototype._hostNetwork = function (name) {
+    return this.hostNetworks.filter(function (network) {
+        return network.name === name;
+    })[0];
+};
+
+/**
+ * @param {String} name
+ * @returns {{name: String, portForwardings: Array}|{exitCode: Number, stdout: String, stderr: String}}
+ *   The NAT network, or a failure
+ */
+FakeVMRun.prototype._natNetwork = function (name) {
+    var network = this._hostNetwork(name);
+    if (!network) return failure('The host network was not found: ' + name);
+    if (network.type !== 'nat') return failure('Port forwarding needs a NAT network: ' + name);
+    return network;
+};
+
+FakeVMRun.prototype._commands = {
+    list: function () {
+        var self = this;
+        var running = Object.keys(self.vms).filter(function (vmxFile) {
+            return self.vms[vmxFile].power === 'on' || self.vms[vmxFile].power === 'paused';
+        });
+        return success('Total running VMs: ' + running.length + '\n' + running.map(function (x) {
+            return x + '\n';
+        }).join(''));
+    },
+
+    listregisteredvm: function () {
+        var self = this;
+        var registered = Object.keys(self.vms).filter(function (vmxFile) {
+            return self.vms[vmxFile].registered;
+        });
+        return success('Total registered VMs: ' + registered.length + '\n' + registered.map(function (x) {
+            return x + '\n';
+        }).join(''));
+    },
+
+    listhostnetworks: function () {
+        var lines = this.hostNetworks.map(function (network) {
+            return column(network.name.replace(/^vmnet/, ''), 7) + column(network.name, 13) + column(network.type, 13) +
+                column(network.dhcp, 13) + column(network.subnet || 'empty', 17) + (network.mask || 'empty') + '\n';
+        });
+        return success('Total host networks: ' + lines.length + '\n' +
+            'INDEX  NAME         TYPE         DHCP         SUBNET           MASK\n' + lines.join(''));
+    },
+
+    listportforwardings: function (vm, args) {
+        var network = this._natNetwork(args[0]);
+        if (network.exitCode) return network;
+
+        return success('Total port forwardings: ' + network.portForwardings.length + '\n' +
+            network.portForwardings.map(function (x, i) {
+                return '[' + i + ']:  protocol: ' + x.protocol + ',  host port: ' + x.hostPort + ',  guest ip: ' + x.guestIp +
+                    ',  guest port: ' + x.guestPort + ',  description: ' + x.description + '\n';
+            }).join(''));
+    },
+
+    setportforwarding: function (vm, args) {
+        var network = this._natNetwork(args[0]);
+        if (network.exitCode) return network;
+
+        var protocol = (args[1] || '').toLowerCase();
+        if (protocol !== 'tcp' && protocol !== 'udp') return failure('Invalid protocol: ' + args[1]);
+
+        // A forwarding of the same host port replaces the previous one
+        network.portForwardings = network.portForwardings.filter(function (x) {
+            return !(x.protocol === protocol && x.hostPort === args[2]);
+        }).concat({ protocol: protocol, hostPort: args[2], guestIp: args[3], guestPort: args[4], description: args[5] || '' });
+        return success();
+    },
+
+    deleteportforwarding: function (vm, args) {
+        var network = this._natNetwork(args[0]);
+        if (network.exitCode) return network;
+
+        var protocol = (args[1] || '').toLowerCase();
+        var before = network.portForwardings.length;
+        network.portForwardings = network.portForwardings.filter(function (x) {
+            return !(x.protocol === protocol && x.hostPort === args[2]);
+        });
+        return before === network.portForwardings.length ? failure('The port forwarding was not found') : success();
+    },
+
+    listnetworkadapters: function (vm) {
+        return success('Total network adapters: ' + vm.networkAdapters.length + '\n' +
+            'INDEX  TYPE         VMNET\n' + vm.networkAdapters.map(function (adapter) {
+                return column(adapter.index, 7) + column(adapter.type, 13) + adapter.vmnet + '\n';
+            }).join(''));
+    },
+
+    addnetworkadapter: function (vm, args) {
+        var adapter = adapterFromArgs(args);
+        if (adapter.exitCode) return adapter;
+
+        // Takes the lowest free index, as vmrun does after a deletion
+        var index = 0;
+        while (this._adapter(vm, index)) index++;
+        vm.networkAdapters.push(Object.assign({ index: index }, adapter));
+        vm.networkAdapters.sort(function (a, b) {
+            return a.index - b.index;
+        });
+        return success();
+    },
+
+    configurenetworkadapter: function (vm, args) {
+        var existing = this._adapter(vm, parseInt(args[0], 10));
+        if (!existing) return failure('Invalid network adapter index: ' + args[0]);
+
+        var adapter = adapterFromArgs(args.slice(1));
+        if (adapter.exitCode) return adapter;
+
+        existing.type = adapter.type;
+        existing.vmnet = adapter.vmnet;
+        return success();
+    },
+
+    deletenetworkadapter: function (vm, args) {
+        var adapter = this._adapter(vm, parseInt(args[0], 10));
+        if (!adapter) return failure('Invalid network adapter index: ' + args[0]);
+
+        vm.networkAdapters.splice(vm.networkAdapters.indexOf(adapter), 1);
+        return success();
+    },
+
+    start: function (vm) {
+        vm.power = 'on';
+        return success();
+    },
+
+    stop: function (vm) {
+        if (vm.power !== 'on' && vm.power !== 'paused') return notPoweredOn(vm);
+        vm.power = 'off';
+        vm.processes = [];
+        return success();
+    },
+
+    reset: function (vm) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+        vm.processes = [];
+        return success();
+    },
+
+    suspend: function (vm) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+        vm.power = 'suspended';
+        return success();
+    },
+
+    pause: function (vm) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+        vm.power = 'paused';
+        return success();
+    },
+
+    unpause: function (vm) {
+        if (vm.power !== 'paused') return failure('The virtual machine is not paused');
+        vm.power = 'on';
+        return success();
+    },
+
+    listsnapshots: function (vm, args) {
+        var lines = [];
+        var count = 0;
+        var showTree = args[0] === 'showTree';
+
+        var walk = function (nodes, depth) {
+            nodes.forEach(function (node) {
+                count++;
+                lines.push((showTree ? new Array(depth + 1).join('\t') : '') + node.name);
+                walk(node.children, depth + 1);
+            });
+        };
+        walk(vm.snapshots, 0);
+
+        return success('Total snapshots: ' + count + '\n' + lines.map(function (x) {
+            return x + '\n';
+        }).join(''));
+    },
+
+    snapshot: function (vm, args) {
+        this._takeSnapshot(vm, args[0]);
+        return success();
+    },
+
+    deletesnapshot: function (vm, args) {
+        var found = this._findSnapshot(vm, args[0]);
+        if (found === 'ambiguous') return failure('The name does not uniquely identify one snapshot');
+        if (!found) return failure('A snapshot with the name does not exist');
+
+        var index = found.siblings.indexOf(found.node);
+        var replacement = args[1] === 'andDeleteChildren' ? [] : found.node.children;
+        Array.prototype.splice.apply(found.siblings, [index, 1].concat(replacement));
+
+        if (vm.currentSnapshot === found.node) {
+            vm.currentSnapshot = null;
+        }
+        return success();
+    },
+
+    reverttosnapshot: function (vm, args) {
+        var found = this._findSnapshot(vm, args[0]);
+        if (found === 'ambiguous') return failure('The name does not uniquely identify one snapshot');
+        if (!found) return failure('A snapshot with the name does not exist');
+
+        var state = cloneGuestState(found.node.state);
+        vm.power = state.power;
+        vm.files = state.files;
+        vm.directories = state.directories;
+        vm.variables = state.variables;
+        vm.processes = [];
+        vm.currentSnapshot = found.node;
+        return success();
+    },
+
+    runprograminguest: function (vm, args) {
+        var options = [];
+        while (/^-(noWait|activeWindow|interactive)$/.test(args[0])) {
+            options.push(args.shift());
+        }
+        return this._runProgram(vm, args[0], args.slice(1), options.indexOf('-noWait') !== -1);
+    },
+
+    runscriptinguest: function (vm, args) {
+        var options = [];
+        while (/^-(noWait|activeWindow|interactive)$/.test(args[0])) {
+            options.push(args.shift());
+        }
+        return this._runProgram(vm, args[0], [args[1]], options.indexOf('-noWait') !== -1);
+    },
+
+    fileexistsinguest: function (vm, args) {
+        return success(vm.files[normalizeGuestPath(args[0])] ? 'The file exists.\n' : 'The file does not exist.\n');
+    },
+
+    directoryexistsinguest: function (vm, args) {
+        return success(vm.directories[normalizeGuestPath(args[0])]
+            ? 'The directory exists.\n'
+            : 'The directory does not exist.\n');
+    },
+
+    listprocessesinguest: function (vm) {
+        return success('Process list: ' + vm.processes.length + '\n' + vm.processes.map(function (p) {
+            return 'pid=' + p.pid + ', owner=' + p.owner + ', cmd=' + p.cmd + '\n';
+        }).join(''));
+    },
+
+    killprocessinguest: function (vm, args) {
+        var pid = parseInt(args[0], 10);
+        var before = vm.processes.length;
+        vm.processes = vm.processes.filter(function (p) {
+            return p.pid !== pid;
+        });
+        return before === vm.processes.length ? failure('The process was not found') : success();
+    },
+
+    deletefileinguest: function (vm, args) {
+        var path = normalizeGuestPath(args[0]);
+        var missing = requireFile(vm, path);
+        if (missing) return missing;
+
+        delete vm.files[path];
+        return success();
+    },
+
+    createdirectoryinguest: function (vm, args) {
+        var path = normalizeGuestPath(args[0]);
+        if (vm.directories[path] || vm.files[path]) return failure('The file already exists');
+        if (!vm.directories[guestParent(path)]) return failure('A file was not found');
+
+        vm.directories[path] = true;
+        return success();
+    },
+
+    deletedirectoryinguest: function (vm, args) {
+        var path = normalizeGuestPath(args[0]);
+        if (!vm.directories[path]) return failure('A file was not found');
+
+        // Deletes the contents too, as vmrun does
+        var prefix = path === '/' ? '/' : path + '/';
+        [vm.files, vm.directories].forEach(function (entries) {
+            Object.keys(entries).forEach(function (entry) {
+                if (entry === path || entry.indexOf(prefix) === 0) {
+                    delete entries[entry];
+                }
+            });
+        });
+        return success();
+    },
+
+    createtempfileinguest: function (vm) {
+        this._mkdirp(vm, '/tmp');
+        var path = '/tmp/vmware' + (vm.nextPid++);
+        vm.files[path] = Buffer.alloc(0);
+        return success(path + '\n');
+    },
+
+    listdirectoryinguest: function (vm, args) {
+        var path = normalizeGuestPath(args[0]);
+        if (!vm.directories[path]) return failure('A file was not found');
+
+        var prefix = path === '/' ? '/' : path + '/';
+        var names = Object.keys(vm.files).concat(Object.keys(vm.directories))
+            .filter(function (entry) {
+                return entry !== path && entry.indexOf(prefix) === 0 && entry.slice(prefix.length).indexOf('/') === -1;
+            })
+            .map(function (entry) {
+                return entry.slice(prefix.length);
+            });
+
+        return success('Directory list: ' + names.length + '\n' + names.map(function (x) {
+            return x + '\n';
+        }).join(''));
+    },
+
+    copyfilefromhosttoguest: function (vm, args) {
+        var path = normalizeGuestPath(args[1]);
+        if (!vm.directories[guestParent(path)]) return failure('A file was not found');
+
+        var data;
+        try {
+            data = fs.readFileSync(args[0]);
+        } catch (err) {
+            return failure('A file was not found');
+        }
+
+        vm.files[path] = data;
+        return success();
+    },
+
+    copyfilefromguesttohost: function (vm, args) {
+        var path = normalizeGuestPath(args[0]);
+        var missing = requireFile(vm, path);
+        if (missing) return missing;
+
+        try {
+            fs.writeFileSync(args[1], vm.files[path]);
+        } catch (err) {
+            return failure('Unable to write the host file: ' + err.message);
+        }
+        return success();
+    },
+
+    renamefileinguest: function (vm, args) {
+        var from = normalizeGuestPath(args[0]);
+        var to = normalizeGuestPath(args[1]);
+        var missing = requireFile(vm, from);
+        if (missing) return missing;
+
+        vm.files[to] = vm.files[from];
+        delete vm.files[from];
+        return success();
+    },
+
+    capturescreen: function (vm, args) {
+        try {
+            fs.writeFileSync(args[0], Buffer.alloc(0));
+        } catch (err) {
+            return failure('Unable to write the host file: ' + err.message);
+        }
+        return success();
+    },
+
+    writevariable: function (vm, args) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+
+        var where = args.length > 2 ? args[0] : 'runtimeConfig';
+        var values = args.length > 2 ? args.slice(1) : args;
+        if (!vm.variables[where]) return failure('Invalid variable type: ' + where);
+
+        vm.variables[where][values[0]] = values[1];
+        return success();
+    },
+
+    readvariable: function (vm, args) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+
+        var where = args.length > 1 ? args[0] : 'runtimeConfig';
+        var name = args.length > 1 ? args[1] : args[0];
+        if (!vm.variables[where]) return failure('Invalid variable type: ' + where);
+
+        var value = vm.variables[where][name];
+        return success(value === undefined ? '\n' : value + '\n');
+    },
+
+    getguestipaddress: function (vm) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+        if (vm.toolsState !== 'running' || !vm.ipAddress) return failure('Unable to get the IP address');
+        return success(vm.ipAddress + '\n');
+    },
+
+    checktoolsstate: function (vm) {
+        return success((vm.power === 'on' ? vm.toolsState : 'unknown') + '\n');
+    },
+
+    enablesharedfolders: function (vm) {
+        vm.sharedFolders.enabled = true;
+        return success();
+    },
+
+    disablesharedfolders: function (vm) {
+        vm.sharedFolders.enabled = false;
+        return success();
+    },
+
+    addsharedfolder: function (vm, args) {
+        if (vm.sharedFolders.folders[args[0]]) return failure('The shared folder already exists');
+        vm.sharedFolders.folders[args[0]] = { hostPath: args[1], writable: true };
+        return success();
+    },
+
+    removesharedfolder: function (vm, args) {
+        if (!vm.sharedFolders.folders[args[0]]) return failure('The shared folder was not found');
+        delete vm.sharedFolders.folders[args[0]];
+        return success();
+    },
+
+    setsharedfolderstate: function (vm, args) {
+        if (!vm.sharedFolders.folders[args[0]]) return failure('The shared folder was not found');
+        vm.sharedFolders.folders[args[0]] = { hostPath: args[1], writable: args[2] !== 'readonly' };
+        return success();
+    },
+
+    upgradevm: function () {
+        return success();
+    },
+
+    installtools: function (vm) {
+        if (vm.power !== 'on') return notPoweredOn(vm);
+        vm.toolsState = 'running';
+        return success();
+    },
+
+    register: function (vm) {
+        vm.registered = true;
+        return success();
+    },
+
+    unregister: function (vm) {
+        vm.registered = false;
+        return success();
+    },
+
+    deletevm: function (vm) {
+        if (vm.power === 'on' || vm.power === 'paused') return failure('The virtual machine is in use');
+        delete this.vms[vm.vmxFile];
+        return success();
+    },
+
+    clone: function (vm, args) {
+        if (this.vms[args[0]]) return failure('The file already exists');
+
+        var snapshotArg = args.filter(function (x) {
+            return /^-snapshot=/.test(x);
+        })[0];
+        var source = cloneGuestState(vm);
+
+        if (snapshotArg) {
+            var found = this._findSnapshot(vm, snapshotArg.slice('-snapshot='.length));
+            if (!found || found === 'ambiguous') return failure('A snapshot with the name does not exist');
+            source = cloneGuestState(found.node.state);
+        }
+
+        var clone = this.addVM(args[0], {
+            toolsState: vm.toolsState,
+            credentials: vm.credentials
+        });
+        clone.files = source.files;
+        clone.directories = source.directories;
+        clone.variables = source.variables;
+        return success();
+    }
+};
+
+/**
+ * @param {FakeVM} vm
+ * @param {String} program
+ * @param {[String]} args
+ * @param {Boolean} noWait
+ * @returns {{exitCode: Number, stdout: String, stderr: String}}
+ */
+FakeVMRun.prototype._runProgram = function (vm, program, args, noWait) {
+    var result = this._programHandler
+        ? this._programHandler({ vm: vm, program: program, args: args, noWait: noWait }) || {}
+        : {};
+
+    if (noWait) {
+        vm.processes.push({
+            pid: vm.nextPid++,
+            owner: vm.credentials ? vm.credentials.username : 'root',
+            cmd: [program].concat(args).join(' ')
+        });
+        return success();
+    }
+
+    if (result.exitCode) {
+        return failure('Guest program exited with non-zero exit code: ' + result.exitCode);
+    }
+
+    return success();
+};
+
+module.exports = {
+    FakeVMRun: FakeVMRun
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+var cache = {};
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`.
+ * @param {String} pattern
+ * @returns {RegExp}
+ */
+var toRegExp = function (pattern) {
+    if (cache[pattern]) return cache[pattern];
+
+    var source = '';
+    var braces = 0;
+
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern[i];
+
+        if (c === '*') {
+            if (pattern[i + 1] === '*') {
+                i++;
+                if (pattern[i + 1] === '/') {
+                    // "**/" matches zero or more directories
+                    i++;
+                    source += '(?:.*/)?';
+                } else if (source.slice(-1) === '/') {
+                    // "/**" at the end matches the directory itself too
+                    source = source.slice(0, -1) + '(?:/.*)?';
+                } else {
+                    source += '.*';
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            var end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                var set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+                source += '[' + (set[0] === '!' ? '^' + set.slice(1) : set) + ']';
+                i = end;
+            }
+        } else if (c === '{') {
+            braces++;
+            source += '(?:';
+        } else if (c === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (c === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += c.replace(/[.+^$()|\\\]]/g, '\\$&');
+        }
+    }
+
+    return (cache[pattern] = new RegExp('^' + source + '$'));
+};
+
+/**
+ * Tests a relative path against glob patterns.
+ * Patterns without a '/' are matched against the base name, so 'node_modules' or '*.log' match at any depth.
+ * @param {String} relativePath Using '/' as the separator
+ * @param {String|[String]} patterns
+ * @returns {Boolean}
+ */
+var matches = function (relativePath, patterns) {
+    var baseName = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+
+    return [].concat(patterns || []).some(function (pattern) {
+        return toRegExp(pattern).test(pattern.indexOf('/') === -1 ? baseName : relativePath);
+    });
+};
+
+module.exports = {
+    toRegExp: toRegExp,
+    matches: matches
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+var errors = require('./errors');
+var extend = require('./extend');
+
+/**
+ * The files of a guest, with the common methods of `fs.promises`.
+ * i.e. `vmrun.guestFs(vmxFile).readFile('/etc/hostname', 'utf8')`
+ * @constructor
+ * @param {VMRun} vmrun
+ * @param {String} vmxFile
+ * @param {VMRunCallOptions?} options Passed to every vmrun call, along with the options of the call
+ */
+var GuestFs = function (vmrun, vmxFile, options) {
+    this._vmrun = vmrun;
+    this.vmxFile = vmxFile;
+    this._options = options || {};
+};
+
+/**
+ * @param {Object|String|undefined} options Options, or an encoding
+ * @returns {Object}
+ */
+GuestFs.prototype._callOptions = function (options) {
+    return extend({}, this._options, typeof options === 'string' ? { encoding: options } : options);
+};
+
+/**
+ * @param {String} path
+ * @param {Object|String?} options Or the encoding
+ * @param {String?} options.encoding Resolve to a String instead of a Buffer
+ * @returns {Promise.<Buffer|String>}
+ */
+GuestFs.prototype.readFile = function (path, options) {
+    return this._vmrun.readFileInGuest(this.vmxFile, path, this._callOptions(options));
+};
+
+/**
+ * @param {String} path
+ * @param {Buffer|String} data
+ * @param {Object|String?} options Or the encoding
+ * @param {String} options.encoding='utf8'
+ * @returns {Promise}
+ */
+GuestFs.prototype.writeFile = function (path, data, options) {
+    return this._vmrun.writeFileInGuest(this.vmxFile, path, data, this._callOptions(options));
+};
+
+/**
+ * @param {String} path
+ * @returns {Promise.<GuestStats>}
+ */
+GuestFs.prototype.stat = function (path) {
+    return this._vmrun.statInGuest(this.vmxFile, path, this._callOptions());
+};
+
+/**
+ * Rejects with a `GuestFileNotFoundError` when nothing exists at the path
+ * @param {String} path
+ * @returns {Promise}
+ */
+GuestFs.prototype.access = function (path) {
+    return this.stat(path)
+        .then(function () {});
+};
+
+/**
+ * @param {String} path
+ * @returns {Promise.<[String]>} The names of the entries
+ */
+GuestFs.prototype.readdir = function (path) {
+    return this._vmrun.listDirectoryInGuest(this.vmxFile, path, this._callOptions());
+};
+
+/**
+ * @param {String} path
+ * @param {Object?} options
+ * @param {Boolean} options.recursive=false Create missing parents, and accept an existing directory
+ * @returns {Promise.<String|undefined>} With `recursive`, the first directory created
+ */
+GuestFs.prototype.mkdir = function (path, options) {
+    options = this._callOptions(options);
+
+    if (options.recursive) {
+        return this._vmrun.mkdirpInGuest(this.vmxFile, path, options);
+    }
+
+    return this._vmrun.createDirectoryInGuest(this.vmxFile, path, options)
+        .then(function () {});
+};
+
+/**
+ * Deletes a file, or a directory with `recursive`
+ * @param {String} path
+ * @param {Object?} options
+ * @param {Boolean} options.recursive=false
+ * @param {Boolean} options.force=false Accept that nothing exists at the path
+ * @returns {Promise}
+ */
+GuestFs.prototype.rm = function (path, options) {
+    var self = this;
+    options = this._callOptions(options);
+
+    return this.stat(path)
+        .then(function (stats) {
+            if (!stats.isDirectory()) {
+                return self.unlink(path);
+            }
+
+            if (!options.recursive) {
+                throw new errors.VMRunError('Path is a directory, rm needs the recursive option: ' + path, {
+                    command: 'rm'
+                });
+            }
+
+            return self.rmdir(path);
+        })
+        .catch(function (err) {
+            if (!(options.force && err instanceof errors.GuestFileNotFoundError)) {
+                throw err;
+            }
+        });
+};
+
+/**
+ * Deletes a directory. vmrun deletes its contents too.
+ * @param {String} path
+ * @returns {Promise}
+ */
+GuestFs.prototype.rmdir = function (path) {
+    return this._vmrun.deleteDirectoryInGuest(this.vmxFile, path, this._callOptions())
+        .then(function () {});
+};
+
+/**
+ * @param {String} path
+ * @returns {Promise}
+ */
+GuestFs.prototype.unlink = function (path) {
+    return this._vmrun.deleteFileInGuest(this.vmxFile, path, this._callOptions())
+        .then(function () {});
+};
+
+/**
+ * @param {String} oldPath
+ * @param {String} newPath
+ * @returns {Promise}
+ */
+GuestFs.prototype.rename = function (oldPath, newPath) {
+    return this._vmrun.renameFileInGuest(this.vmxFile, oldPath, newPath, this._callOptions())
+        .then(function () {});
+};
+
+module.exports = {
+    GuestFs: GuestFs
+};
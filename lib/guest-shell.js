@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * @typedef {Object} GuestShell
+ * @property {String} family 'posix' | 'cmd' | 'powershell'
+ * @property {String} path Path of the shell executable in the guest
+ * @property {String} extension Extension the script file needs, if any
+ */
+
+var SHELLS = {
+    windows: {
+        cmd: 'C:\\Windows\\System32\\cmd.exe',
+        powershell: 'C:\\Windows\\System32\\WindowsPowerShell\\v1.0\\powershell.exe',
+        pwsh: 'C:\\Program Files\\PowerShell\\7\\pwsh.exe'
+    },
+    posix: {
+        sh: '/bin/sh',
+        bash: '/bin/bash',
+        pwsh: '/usr/bin/pwsh'
+    }
+};
+
+/**
+ * @param {String} guestOS 'windows' | 'posix'
+ * @param {String?} shell A shell name ('sh', 'bash', 'cmd', 'powershell', 'pwsh') or a path to one
+ * @returns {GuestShell}
+ */
+var resolveShell = function (guestOS, shell) {
+    var windows = guestOS === 'windows';
+    shell = shell || (windows ? 'cmd' : 'sh');
+
+    var path = (windows ? SHELLS.windows : SHELLS.posix)[shell.toLowerCase()] || shell;
+    var name = path.replace(/^.*[\/\\]/, '').replace(/\.exe$/i, '').toLowerCase();
+
+    if (name === 'cmd') {
+        return { family: 'cmd', path: path, extension: '.cmd' };
+    }
+
+    if (name === 'powershell' || name === 'pwsh') {
+        return { family: 'powershell', path: path, extension: '.ps1' };
+    }
+
+    return { family: 'posix', path: path, extension: '' };
+};
+
+/**
+ * @param {String} value
+ * @returns {String}
+ */
+var quotePosix = function (value) {
+    return '\'' + (value + '').replace(/'/g, '\'\\\'\'') + '\'';
+};
+
+/**
+ * @param {String} value
+ * @returns {String}
+ */
+var quotePowerShell = function (value) {
+    return '\'' + (value + '').replace(/'/g, '\'\'') + '\'';
+};
+
+/**
+ * @param {String} name
+ * @returns {String}
+ */
+var validEnvName = function (name) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new TypeError('Invalid environment variable name: ' + name);
+    }
+    return name;
+};
+
+/**
+ * cmd has no way to escape a quote inside a quoted string, and a line break ends the line
+ * @param {String} value
+ * @param {String} description What the value is, for the error
+ * @returns {String}
+ */
+var validCmdValue = function (value, description) {
+    value = value + '';
+    if (/["\r\n]/.test(value)) {
+        throw new TypeError(description + ' cannot contain quotes or line breaks in a cmd script');
+    }
+    return value;
+};
+
+/**
+ * Builds a script which runs a command, redirecting its output into files, and exits with its exit code
+ * @param {GuestShell} shell
+ * @param {String} command
+ * @param {Object} paths
+ * @param {String} paths.stdout Guest path to redirect stdout to
+ * @param {String} paths.stderr Guest path to redirect stderr to
+ * @param {Object?} options
+ * @param {String?} options.cwd
+ * @param {Object<String, String>?} options.env
+ * @returns {String} Throws a `TypeError` for a cwd or env value which cmd cannot quote
+ */
+var buildScript = function (shell, command, paths, options) {
+    options = options || {};
+    var env = options.env || {};
+    var lines;
+
+    switch (shell.family) {
+        case 'cmd':
+            // A subroutine keeps the redirection away from parentheses in the command
+            lines = [
+                '@echo off',
+                'call :main > "' + paths.stdout + '" 2> "' + paths.stderr + '"',
+                'exit /b %ERRORLEVEL%',
+                ':main'
+            ];
+            if (options.cwd) {
+                lines.push('cd /d "' + validCmdValue(options.cwd, 'The working directory') + '" || exit /b 1');
+            }
+            Object.keys(env).forEach(function (name) {
+                lines.push('set "' + validEnvName(name) + '=' +
+                    validCmdValue(env[name], 'The value of ' + name).replace(/%/g, '%%') + '"');
+            });
+            lines.push(command);
+            return lines.join('\r\n') + '\r\n';
+
+        case 'powershell':
+            lines = ['& {'];
+            if (options.cwd) {
+                lines.push('Set-Location -LiteralPath ' + quotePowerShell(options.cwd));
+            }
+            Object.keys(env).forEach(function (name) {
+                lines.push('$env:' + validEnvName(name) + ' = ' + quotePowerShell(env[name]));
+            });
+            lines.push(command);
+            lines.push('} > ' + quotePowerShell(paths.stdout) + ' 2> ' + quotePowerShell(paths.stderr));
+            lines.push('$ok = $?');
+            lines.push('if ($null -ne $LASTEXITCODE) { exit $LASTEXITCODE }');
+            lines.push('if ($ok) { exit 0 } else { exit 1 }');
+            return lines.join('\r\n') + '\r\n';
+
+        default:
+            lines = ['exec >' + quotePosix(paths.stdout) + ' 2>' + quotePosix(paths.stderr)];
+            if (options.cwd) {
+                lines.push('cd ' + quotePosix(options.cwd) + ' || exit $?');
+            }
+            Object.keys(env).forEach(function (name) {
+                lines.push('export ' + validEnvName(name) + '=' + quotePosix(env[name]));
+            });
+            lines.push(command);
+            return lines.join('\n') + '\n';
+    }
+};
+
+/**
+ * Arguments for running a script file with the shell
+ * @param {GuestShell} shell
+ * @param {String} scriptPath
+ * @returns {[String]}
+ */
+var scriptArgs = function (shell, scriptPath) {
+    switch (shell.family) {
+        case 'cmd':
+            return ['/c', '"' + scriptPath + '"'];
+
+        case 'powershell':
+            return ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-File', '"' + scriptPath + '"'];
+
+        default:
+            return [quotePosix(scriptPath)];
+    }
+};
+
+/**
+ * Decodes redirected output, which Windows PowerShell writes as UTF-16
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+var decodeOutput = function (buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return buffer.slice(2).toString('utf16le');
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return buffer.slice(3).toString('utf8');
+    }
+    return buffer.toString('utf8');
+};
+
+module.exports = {
+    resolveShell: resolveShell,
+    buildScript: buildScript,
+    scriptArgs: scriptArgs,
+    decodeOutput: decodeOutput
+};
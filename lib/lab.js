@@ -0,0 +1,477 @@
+'use strict';
+
+var fs = require('fs');
+var concurrency = require('./concurrency');
+var errors = require('./errors');
+
+/**
+ * @typedef {Object} LabVMSpec
+ * @property {String} vmx The vmx file
+ * @property {String?} snapshot Revert to this snapshot before starting
+ * @property {[String]?} dependsOn Names of the VMs which have to be up before this one starts
+ * @property {VMRunOptions?} options Options for this VM, i.e. guest credentials
+ * @property {Boolean?} gui Start with a GUI
+ * @property {Boolean?} waitForGuest Wait for the tools and an IP address, default true
+ * @property {[{name: String, hostPath: String, writable: Boolean?}]?} sharedFolders
+ * @property {[{network: String, protocol: String, hostPort: Number, guestPort: Number, guestIp: String?, description: String?}]?} portForwardings
+ *   `guestIp` defaults to the address of the VM
+ */
+
+/**
+ * @typedef {Object} LabSpec
+ * @property {String?} name
+ * @property {Object<String, LabVMSpec>} vms
+ * @property {Number?} parallelism VMs brought up or down at once, default 4
+ * @property {Number?} timeout Milliseconds to wait for each guest, 0 to wait forever
+ * @property {Number?} shutdownTimeout Milliseconds to wait for a soft shutdown before powering off, default 60000
+ */
+
+var DEFAULT_PARALLELISM = 4;
+var DEFAULT_SHUTDOWN_TIMEOUT = 60000;
+
+/**
+ * Splits the items of a flow list on the commas outside of quotes
+ * @param {String} text The list without its brackets
+ * @returns {[String]}
+ */
+var splitFlow = function (text) {
+    var items = [];
+    var quote = null;
+    var start = 0;
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+        if (quote) {
+            if (c === '\\' && quote === '"') {
+                i++;
+            } else if (c === quote) {
+                quote = null;
+            }
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === ',') {
+            items.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+
+    return items.concat(text.slice(start));
+};
+
+/**
+ * @param {String} text
+ * @returns {*}
+ */
+var parseScalar = function (text) {
+    text = text.trim();
+
+    if (/^"/.test(text)) return JSON.parse(text);
+    if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, '\'');
+    if (/^(true|yes|on)$/i.test(text)) return true;
+    if (/^(false|no|off)$/i.test(text)) return false;
+    if (/^(null|~|)$/.test(text)) return null;
+    if (/^-?[0-9]+(\.[0-9]+)?$/.test(text)) return parseFloat(text);
+
+    if (/^\[.*\]$/.test(text)) {
+        var inner = text.slice(1, -1).trim();
+        return inner ? splitFlow(inner).map(parseScalar) : [];
+    }
+    if (text === '{}') return {};
+
+    return text;
+};
+
+/**
+ * Removes a trailing comment, outside of quotes
+ * @param {String} line
+ * @returns {String}
+ */
+var stripComment = function (line) {
+    var quote = null;
+
+    for (var i = 0; i < line.length; i++) {
+        var c = line[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+
+    return line;
+};
+
+/**
+ * Parses the subset of YAML used for lab specs: block mappings and sequences, plain, quoted and `[flow]` scalars,
+ * and comments. Anchors, multi-line strings and multiple documents are not supported.
+ * @param {String} text
+ * @returns {*}
+ */
+var parseYaml = function (text) {
+    var lines = [];
+
+    text.split(/\r?\n/).forEach(function (raw, index) {
+        var line = stripComment(raw).replace(/\s+$/, '');
+        if (!line.trim() || /^(---|\.\.\.)$/.test(line)) return;
+
+        if (/^\s*\t/.test(line)) {
+            throw new SyntaxError('Tabs are not allowed for indentation, line ' + (index + 1));
+        }
+
+        lines.push({
+            indent: line.match(/^ */)[0].length,
+            text: line.trim(),
+            number: index + 1
+        });
+    });
+
+    var pos = 0;
+
+    var keyValue = function (line) {
+        var matches = line.text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*)|$)/);
+        if (!matches) {
+            throw new SyntaxError('Expected "key: value", line ' + line.number);
+        }
+        return { key: parseScalar(matches[1]) + '', value: matches[2] };
+    };
+
+    var parseNested = function (parentIndent) {
+        var next = lines[pos];
+
+        if (next && (next.indent > parentIndent || (next.indent === parentIndent && /^-( |$)/.test(next.text)))) {
+            return parseBlock(next.indent);
+        }
+        return null;
+    };
+
+    var parseMapping = function (indent) {
+        var result = {};
+
+        while (pos < lines.length && lines[pos].indent === indent && !/^-( |$)/.test(lines[pos].text)) {
+            var entry = keyValue(lines[pos]);
+            pos++;
+
+            result[entry.key] = entry.value === undefined || entry.value === ''
+                ? parseNested(indent)
+                : parseScalar(entry.value);
+        }
+
+        return result;
+    };
+
+    var parseSequence = function (indent) {
+        var result = [];
+
+        while (pos < lines.length && lines[pos].indent === indent && /^-( |$)/.test(lines[pos].text)) {
+            var line = lines[pos];
+            var rest = line.text.slice(1).trim();
+
+            if (!rest) {
+                pos++;
+                result.push(parseNested(indent + 1));
+            } else if (/^("[^"]*"|'[^']*'|[^"'\[{][^:]*?)\s*:(\s|$)/.test(rest)) {
+                // A mapping starting on the same line as the dash
+                var itemIndent = indent + line.text.indexOf(rest);
+                lines[pos] = { indent: itemIndent, text: rest, number: line.number };
+                result.push(parseMapping(itemIndent));
+            } else {
+                pos++;
+                result.push(parseScalar(rest));
+            }
+        }
+
+        return result;
+    };
+
+    var parseBlock = function (indent) {
+        return /^-( |$)/.test(lines[pos].text) ? parseSequence(indent) : parseMapping(indent);
+    };
+
+    if (!lines.length) return null;
+
+    var result = parseBlock(lines[0].indent);
+    if (pos < lines.length) {
+        throw new SyntaxError('Unexpected indentation, line ' + lines[pos].number);
+    }
+
+    return result;
+};
+
+/**
+ * @param {String} text JSON, or the subset of YAML described in `parseYaml`
+ * @returns {LabSpec}
+ */
+var parseSpec = function (text) {
+    return /^\s*[{\[]/.test(text) ? JSON.parse(text) : parseYaml(text);
+};
+
+/**
+ * Throws a `TypeError` for specs which cannot be brought up
+ * @param {LabSpec} spec
+ */
+var validateSpec = function (spec) {
+    if (!spec || typeof spec.vms !== 'object' || !spec.vms || Array.isArray(spec.vms)) {
+        throw new TypeError('A lab spec needs a "vms" mapping');
+    }
+
+    var names = Object.keys(spec.vms);
+
+    names.forEach(function (name) {
+        var vm = spec.vms[name] || {};
+
+        if (!vm.vmx || typeof vm.vmx !== 'string') {
+            throw new TypeError('Lab VM "' + name + '" needs a "vmx" file');
+        }
+
+        (vm.dependsOn || []).forEach(function (dependency) {
+            if (names.indexOf(dependency) === -1) {
+                throw new TypeError('Lab VM "' + name + '" depends on unknown VM "' + dependency + '"');
+            }
+        });
+    });
+
+    // Depth first search for cycles
+    var state = {};
+    var visit = function (name, path) {
+        if (state[name] === 'done') return;
+        if (state[name] === 'visiting') {
+            throw new TypeError('Lab VMs depend on each other: ' + path.concat(name).join(' -> '));
+        }
+
+        state[name] = 'visiting';
+        (spec.vms[name].dependsOn || []).forEach(function (dependency) {
+            visit(dependency, path.concat(name));
+        });
+        state[name] = 'done';
+    };
+
+    names.forEach(function (name) {
+        visit(name, []);
+    });
+};
+
+/**
+ * A set of VMs which are brought up and down together
+ * @constructor
+ * @param {VMRun} vmrun
+ * @param {LabSpec} spec
+ */
+var Lab = function (vmrun, spec) {
+    validateSpec(spec);
+
+    this._vmrun = vmrun;
+    this.spec = spec;
+    this.name = spec.name || null;
+};
+
+/**
+ * @param {String} name
+ * @returns {VirtualMachine}
+ */
+Lab.prototype.vm = function (name) {
+    var vm = this.spec.vms[name];
+    if (!vm) {
+        throw new TypeError('Unknown lab VM "' + name + '"');
+    }
+    return this._vmrun.vm(vm.vmx, vm.options);
+};
+
+/**
+ * Runs `fn` for every VM, after it ran for the VMs that `dependenciesOf` returns,
+ * with at most `parallelism` VMs at once. Stops starting new ones after the first failure,
+ * unless `continueOnError` is set, in which case it rejects with the first failure once all are done.
+ * @param {function(String):[String]} dependenciesOf
+ * @param {function(String):Promise} fn
+ * @param {Boolean?} continueOnError
+ * @returns {Promise.<Object<String, *>>} Results per VM name
+ */
+Lab.prototype._each = function (dependenciesOf, fn, continueOnError) {
+    var self = this;
+    var scheduler = new concurrency.Scheduler();
+    var limit = self.spec.parallelism || DEFAULT_PARALLELISM;
+    var promises = {};
+    var results = {};
+    var failed = false;
+
+    var run = function (name) {
+        if (!promises[name]) {
+            promises[name] = Promise.all(dependenciesOf(name).map(function (dependency) {
+                return continueOnError ? run(dependency).catch(function () {}) : run(dependency);
+            }))
+                .then(function () {
+                    return scheduler.schedule({ limit: limit }, function () {
+                        if (failed) {
+                            throw new errors.VMRunAbortError('Skipped "' + name + '" after another lab VM failed');
+                        }
+                        return fn(name);
+                    });
+                })
+                .then(function (result) {
+                    results[name] = result;
+                }, function (err) {
+                    failed = !continueOnError;
+                    if (err && err.labVM === undefined) {
+                        err.labVM = name;
+                    }
+                    throw err;
+                });
+        }
+        return promises[name];
+    };
+
+    var firstError = null;
+
+    return Promise.all(Object.keys(self.spec.vms).map(function (name) {
+        return run(name).catch(function (err) {
+            if (!firstError) firstError = err;
+            if (!continueOnError) throw err;
+        });
+    }))
+        .then(function () {
+            if (firstError) throw firstError;
+            return results;
+        });
+};
+
+/**
+ * Brings up every VM after its dependencies: reverts to its snapshot, starts it, waits for the guest,
+ * then sets up its shared folders and port forwardings
+ * @param {Object?} options
+ * @param {AbortSignal?} options.signal
+ * @returns {Promise.<Object<String, {vmxFile: String, ipAddress: String|null}>>} Rejects with the first failure,
+ *   which has the name of the VM in `labVM`
+ */
+Lab.prototype.up = function (options) {
+    var self = this;
+    options = options || {};
+
+    var callOptions = { signal: options.signal };
+
+    return self._each(function (name) {
+        return self.spec.vms[name].dependsOn || [];
+    }, function (name) {
+        var spec = self.spec.vms[name];
+        var vm = self.vm(name);
+        var sharedFolders = spec.sharedFolders || [];
+        var portForwardings = spec.portForwardings || [];
+        var ipAddress = null;
+
+        var waitForGuest = spec.waitForGuest !== false || sharedFolders.length > 0 ||
+            portForwardings.some(function (forwarding) {
+                return !forwarding.guestIp;
+            });
+
+        return Promise.resolve()
+            .then(function () {
+                return spec.snapshot ? vm.revertToSnapshot(spec.snapshot, callOptions) : null;
+            })
+            .then(function () {
+                return vm.start(spec.gui, callOptions);
+            })
+            .then(function () {
+                if (!waitForGuest) return null;
+
+                return vm.waitForGuestReady({ timeout: self.spec.timeout, signal: options.signal })
+                    .then(function (info) {
+                        ipAddress = info.ipAddress;
+                    });
+            })
+            .then(function () {
+                if (!sharedFolders.length) return null;
+
+                return vm.enableSharedFolders(false, callOptions)
+                    .then(function () {
+                        return sharedFolders.reduce(function (promise, folder) {
+                            return promise
+                                .then(function () {
+                                    return vm.addSharedFolder(folder.name, folder.hostPath, callOptions);
+                                })
+                                .then(function () {
+                                    return vm.setSharedFolderState(folder.name, folder.hostPath, folder.writable !== false, callOptions);
+                                });
+                        }, Promise.resolve());
+                    });
+            })
+            .then(function () {
+                return portForwardings.reduce(function (promise, forwarding) {
+                    return promise.then(function () {
+                        return self._vmrun.setPortForwarding(forwarding.network, {
+                            protocol: forwarding.protocol,
+                            hostPort: forwarding.hostPort,
+                            guestIp: forwarding.guestIp || ipAddress,
+                            guestPort: forwarding.guestPort,
+                            description: forwarding.description
+                        }, callOptions);
+                    });
+                }, Promise.resolve());
+            })
+            .then(function () {
+                return { vmxFile: spec.vmx, ipAddress: ipAddress };
+            });
+    });
+};
+
+/**
+ * Brings down every VM before the ones it depends on: removes its port forwardings, and shuts it down,
+ * powering it off if that fails or takes longer than `shutdownTimeout`.
+ * VMs which are already off are left alone, and a failure does not stop the other VMs from going down.
+ * @returns {Promise.<Object<String, Boolean>>} Per VM name, whether it had to be powered off.
+ *   Rejects with the first failure once all the VMs were handled
+ */
+Lab.prototype.down = function () {
+    var self = this;
+    var names = Object.keys(self.spec.vms);
+    var shutdownTimeout = self.spec.shutdownTimeout || DEFAULT_SHUTDOWN_TIMEOUT;
+
+    var dependentsOf = function (name) {
+        return names.filter(function (other) {
+            return (self.spec.vms[other].dependsOn || []).indexOf(name) !== -1;
+        });
+    };
+
+    return self._each(dependentsOf, function (name) {
+        var spec = self.spec.vms[name];
+        var vm = self.vm(name);
+
+        return (spec.portForwardings || []).reduce(function (promise, forwarding) {
+            return promise.then(function () {
+                return self._vmrun.deletePortForwarding(forwarding.network, forwarding)
+                    .catch(function () {});
+            });
+        }, Promise.resolve())
+            .then(function () {
+                return vm.shutdown({ timeout: shutdownTimeout });
+            })
+            .then(function () {
+                return false;
+            }, function (err) {
+                if (err instanceof errors.VMNotPoweredOnError) {
+                    return false;
+                }
+
+                return vm.poweroff()
+                    .then(function () {
+                        return true;
+                    });
+            });
+    }, true);
+};
+
+/**
+ * @param {String} file A JSON or YAML lab spec
+ * @returns {Promise.<LabSpec>}
+ */
+var readSpec = function (file) {
+    return fs.promises.readFile(file, 'utf8')
+        .then(parseSpec);
+};
+
+module.exports = {
+    Lab: Lab,
+    parseSpec: parseSpec,
+    parseYaml: parseYaml,
+    readSpec: readSpec,
+    validateSpec: validateSpec
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+var errors = require('./errors');
+
+/**
+ * @param {String?} description
+ * @returns {VMRunAbortError}
+ */
+var abortError = function (description) {
+    return new errors.VMRunAbortError((description || 'The operation') + ' was aborted');
+};
+
+/**
+ * Resolves after a delay, rejecting early if the signal is aborted
+ * @param {Number} ms
+ * @param {AbortSignal?} signal
+ * @returns {Promise}
+ */
+var delay = function (ms, signal) {
+    return new Promise(function (resolve, reject) {
+        if (signal && signal.aborted) {
+            return reject(abortError());
+        }
+
+        var onAbort = function () {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+
+        var timer = setTimeout(function () {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+};
+
+/**
+ * Calls `check` until it resolves to something other than `undefined`
+ * @param {function({timeout: Number|undefined, signal: AbortSignal|undefined}):Promise} check
+ *   Receives call options bounded by the remaining time, to pass on to vmrun calls
+ * @param {Object?} options
+ * @param {Number} options.interval=1000 Milliseconds between attempts
+ * @param {Number} options.backoff=1 Factor applied to the interval after every attempt
+ * @param {Number?} options.maxInterval Upper bound for the interval
+ * @param {Number} options.timeout=0 Overall deadline in milliseconds, 0 to wait forever
+ * @param {AbortSignal?} options.signal
+ * @param {function(Error):Boolean?} options.retryOn Errors for which polling should go on
+ * @param {String?} description What is being waited for, used in error messages
+ * @returns {Promise} The first value that is not `undefined`
+ */
+var poll = function (check, options, description) {
+    options = options || {};
+    description = description || 'the operation';
+
+    var interval = options.interval > 0 ? options.interval : 1000;
+    var backoff = options.backoff > 1 ? options.backoff : 1;
+    var timeout = options.timeout > 0 ? options.timeout : 0;
+    var signal = options.signal;
+    var deadline = timeout ? Date.now() + timeout : 0;
+    var lastError = null;
+
+    var timeoutError = function () {
+        var err = new errors.VMRunTimeoutError('Timed out after ' + timeout + 'ms waiting for ' + description +
+            (lastError ? '\n    last error: ' + lastError.message : ''));
+        err.lastError = lastError;
+        return err;
+    };
+
+    var attempt = function () {
+        if (signal && signal.aborted) {
+            return Promise.reject(abortError('Waiting for ' + description));
+        }
+
+        var remaining = deadline ? deadline - Date.now() : 0;
+        if (deadline && remaining <= 0) {
+            return Promise.reject(timeoutError());
+        }
+
+        return Promise.resolve()
+            .then(function () {
+                return check({ timeout: deadline ? remaining : undefined, signal: signal });
+            })
+            .catch(function (err) {
+                if (err instanceof errors.VMRunTimeoutError && deadline && Date.now() >= deadline) {
+                    throw timeoutError();
+                }
+                if (options.retryOn && options.retryOn(err)) {
+                    lastError = err;
+                    return undefined;
+                }
+                throw err;
+            })
+            .then(function (value) {
+                if (value !== undefined) return value;
+
+                var wait = interval;
+                interval = Math.min(interval * backoff, options.maxInterval > 0 ? options.maxInterval : Infinity);
+
+                if (deadline) {
+                    remaining = deadline - Date.now();
+                    if (remaining <= 0) {
+                        throw timeoutError();
+                    }
+                    wait = Math.min(wait, remaining);
+                }
+
+                return delay(wait, signal)
+                    .catch(function () {
+                        throw abortError('Waiting for ' + description);
+                    })
+                    .then(attempt);
+            });
+    };
+
+    return attempt();
+};
+
+module.exports = {
+    delay: delay,
+    poll: poll
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+var fs = require('fs');
+var redact = require('./redact');
+var spawn = require('./spawn');
+
+/**
+ * @typedef {Object} VMRunFixture
+ * @property {[String]} args Arguments given to vmrun, with secrets masked
+ * @property {Number|String|null} code Exit code of a failed run (or a string like 'ENOENT'), null when it succeeded
+ * @property {String} stdout
+ * @property {String} stderr
+ */
+
+/**
+ * @param {[String]} a
+ * @param {[String]} b
+ * @returns {Boolean}
+ */
+var sameArgs = function (a, b) {
+    return a.length === b.length && a.every(function (x, i) {
+        return x === b[i];
+    });
+};
+
+/**
+ * Wraps an executor, recording every run of vmrun as a fixture for `replayExecutor`.
+ * Passwords are masked, as in logs; stdout and stderr are kept as they are.
+ * @param {Object?} options
+ * @param {VMRunExecutor?} options.executor The executor to record, defaults to spawning vmrun
+ * @param {String?} options.file JSON file which `save()` writes the fixtures to
+ * @returns {VMRunExecutor} With the recorded `fixtures` and `save()`, which resolves when the file is written
+ */
+var recordingExecutor = function (options) {
+    options = options || {};
+
+    var executor = options.executor || spawn.spawnProcess;
+    var fixtures = [];
+
+    var record = function (file, args, execOptions) {
+        var fixture = { args: redact.redactArgs(args), code: null, stdout: '', stderr: '' };
+
+        return executor(file, args, execOptions)
+            .then(function (std) {
+                fixture.stdout = std.stdout || '';
+                fixture.stderr = std.stderr || '';
+                fixtures.push(fixture);
+                return std;
+            }, function (err) {
+                // An aborted run says nothing about vmrun
+                if (err.name !== 'AbortError') {
+                    fixture.code = err.code === undefined ? null : err.code;
+                    fixture.stdout = err.stdout || '';
+                    fixture.stderr = err.stderr || '';
+                    fixtures.push(fixture);
+                }
+                throw err;
+            });
+    };
+
+    record.fixtures = fixtures;
+    record.save = function (file) {
+        file = file || options.file;
+        if (!file) {
+            return Promise.reject(new TypeError('No fixture file given'));
+        }
+
+        return fs.promises.writeFile(file, JSON.stringify(fixtures, null, 2) + '\n');
+    };
+
+    return record;
+};
+
+/**
+ * Plays back fixtures recorded by `recordingExecutor`. Every run uses the first unused fixture
+ * with the same arguments, so a command run twice plays its recordings in order.
+ * Runs which were not recorded reject with an error naming the arguments.
+ * @param {[VMRunFixture]|String} fixtures Fixtures, or the JSON file they were saved to
+ * @returns {VMRunExecutor} With the `remaining` fixtures, which were not played yet
+ */
+var replayExecutor = function (fixtures) {
+    var remaining = (typeof fixtures === 'string'
+        ? JSON.parse(fs.readFileSync(fixtures, 'utf8'))
+        : fixtures).slice();
+
+    var replay = function (file, args) {
+        return Promise.resolve().then(function () {
+            var redacted = redact.redactArgs(args);
+            var index = -1;
+
+            for (var i = 0; i < remaining.length && index === -1; i++) {
+                if (sameArgs(remaining[i].args, redacted)) {
+                    index = i;
+                }
+            }
+
+            if (index === -1) {
+                throw new Error('No recorded vmrun run for: ' + redacted.join(' '));
+            }
+
+            var fixture = remaining.splice(index, 1)[0];
+
+            if (fixture.code !== null && fixture.code !== undefined) {
+                var err = new Error('Command failed: ' + file + ' ' + redacted.join(' ') + '\n' + fixture.stdout);
+                err.code = fixture.code;
+                err.stdout = fixture.stdout;
+                err.stderr = fixture.stderr;
+                throw err;
+            }
+
+            return { stdout: fixture.stdout, stderr: fixture.stderr };
+        });
+    };
+
+    replay.remaining = remaining;
+    return replay;
+};
+
+module.exports = {
+    recordingExecutor: recordingExecutor,
+    replayExecutor: replayExecutor
+};
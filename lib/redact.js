@@ -0,0 +1,105 @@
+'use strict';
+
+var MASK = '********';
+
+// Authentication flags, which come before the command and are all followed by a value
+var AUTH_FLAGS = ['-T', '-h', '-P', '-u', '-p', '-vp', '-gu', '-gp'];
+
+// Authentication flags which are followed by a secret value
+var SECRET_FLAGS = ['-p', '-gp', '-vp'];
+
+// Shorter secrets are masked at the password flags only, as masking them everywhere would mangle the text
+var MIN_SECRET_LENGTH = 4;
+
+/**
+ * Collects the secret values out of a set of VMRun options, for `redactText`
+ * @param {Object?} options
+ * @returns {[String]} secrets of at least `MIN_SECRET_LENGTH` characters, longest first
+ */
+var getSecrets = function (options) {
+    var secrets = [];
+
+    if (options) {
+        [options.hostPassword, options.guestPassword, options.vmPassword].forEach(function (secret) {
+            if (secret !== undefined && secret !== null && secret !== false && (secret + '').length >= MIN_SECRET_LENGTH) {
+                secrets.push(secret + '');
+            }
+        });
+    }
+
+    return secrets.sort(function (a, b) {
+        return b.length - a.length;
+    });
+};
+
+/**
+ * Masks the values of the password flags before the command.
+ * Arguments after the command belong to it (i.e. `mkdir -p`), secrets among them are masked by `redactText`.
+ * @param {[String]} args
+ * @returns {[String]}
+ */
+var redactArgs = function (args) {
+    var redacted = args.map(function (arg) {
+        return arg + '';
+    });
+
+    for (var i = 0; i + 1 < args.length && AUTH_FLAGS.indexOf(args[i]) > -1; i += 2) {
+        if (SECRET_FLAGS.indexOf(args[i]) > -1) {
+            redacted[i + 1] = MASK;
+        }
+    }
+
+    return redacted;
+};
+
+/**
+ * Masks every occurrence of the secrets in a piece of text
+ * @param {String?} text
+ * @param {[String]} secrets
+ * @returns {String?}
+ */
+var redactText = function (text, secrets) {
+    if (typeof text !== 'string' || !text) return text;
+
+    for (var i = 0; i < secrets.length; i++) {
+        text = text.split(secrets[i]).join(MASK);
+    }
+
+    return text;
+};
+
+/**
+ * Masks the secrets in the message and properties of an error, in place
+ * @param {Error} err
+ * @param {[String]} secrets
+ * @returns {Error}
+ */
+var redactError = function (err, secrets) {
+    if (!secrets.length) return err;
+
+    err.message = redactText(err.message, secrets);
+    err.cmd = redactText(err.cmd, secrets);
+    err.stdout = redactText(err.stdout, secrets);
+    err.stderr = redactText(err.stderr, secrets);
+
+    if (Array.isArray(err.args)) {
+        err.args = err.args.map(function (arg) {
+            return redactText(arg, secrets);
+        });
+    }
+
+    if (typeof err.stack === 'string') {
+        err.stack = redactText(err.stack, secrets);
+    }
+
+    return err;
+};
+
+module.exports = {
+    MASK: MASK,
+    AUTH_FLAGS: AUTH_FLAGS,
+    getSecrets: getSecrets,
+    redactArgs: redactArgs,
+    redactText: redactText,
+    redactError: redactError
+};
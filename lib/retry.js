@@ -0,0 +1,170 @@
+'use strict';
+
+var errors = require('./errors');
+var poll = require('./poll');
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {Number} maxAttempts Attempts including the first one
+ * @property {Number} backoff Milliseconds before the first retry
+ * @property {Number} factor Multiplies the delay after every retry
+ * @property {Number} maxDelay Largest delay between attempts, in milliseconds
+ * @property {Number} jitter Randomizes delays by up to this fraction, between 0 and 1
+ * @property {[Function]} retryOn Error classes which are worth retrying
+ */
+
+var DEFAULT_POLICY = {
+    maxAttempts: 3,
+    backoff: 1000,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: 0.2,
+    retryOn: [errors.ToolsNotRunningError, errors.VMLockedError, errors.HostConnectionError]
+};
+
+// Retrying these after a failure which happened after vmrun did the work would do it twice
+var NON_IDEMPOTENT_COMMANDS = [
+    'snapshot', 'clone', 'deletevm', 'addnetworkadapter', 'createtempfileinguest'
+];
+
+/**
+ * @param {*} value
+ * @returns {String|null} A description of the expected type when the value is invalid
+ */
+var validatePolicy = function (value) {
+    if (typeof value === 'boolean') return null;
+
+    var expected = 'a boolean or an object with maxAttempts, backoff, factor, maxDelay, jitter and retryOn';
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return expected;
+    }
+
+    var valid = Object.keys(value).every(function (key) {
+        var x = value[key];
+        if (x === undefined || x === null) return true;
+
+        switch (key) {
+            case 'maxAttempts':
+                return typeof x === 'number' && x >= 1 && x % 1 === 0;
+            case 'backoff':
+            case 'factor':
+            case 'maxDelay':
+                return typeof x === 'number' && x >= 0;
+            case 'jitter':
+                return typeof x === 'number' && x >= 0 && x <= 1;
+            case 'retryOn':
+                return Array.isArray(x) && x.every(function (ErrorClass) {
+                    return typeof ErrorClass === 'function';
+                });
+            default:
+                return false;
+        }
+    });
+
+    return valid ? null : expected;
+};
+
+/**
+ * @param {...Object} policies Later ones override earlier ones, unset keys fall back to the defaults
+ * @returns {RetryPolicy}
+ */
+var extendPolicy = function () {
+    var policy = {};
+
+    [DEFAULT_POLICY].concat(Array.prototype.slice.call(arguments)).forEach(function (o) {
+        if (!o) return;
+
+        Object.keys(o).forEach(function (key) {
+            if (o[key] !== undefined && o[key] !== null) {
+                policy[key] = o[key];
+            }
+        });
+    });
+
+    return policy;
+};
+
+/**
+ * Picks the policy for a command. The global policy skips non-idempotent commands,
+ * a policy given for the call applies to any command.
+ * @param {RetryPolicy|false|null} globalPolicy
+ * @param {RetryPolicy|false|undefined} callPolicy
+ * @param {String} command
+ * @returns {RetryPolicy|null} null for no retries
+ */
+var resolvePolicy = function (globalPolicy, callPolicy, command) {
+    if (callPolicy === false) return null;
+
+    if (callPolicy) {
+        return extendPolicy(globalPolicy, callPolicy);
+    }
+
+    if (!globalPolicy || NON_IDEMPOTENT_COMMANDS.indexOf((command + '').toLowerCase()) !== -1) {
+        return null;
+    }
+
+    return extendPolicy(globalPolicy);
+};
+
+/**
+ * @param {RetryPolicy} policy
+ * @param {Number} attempt The attempt which failed, starting at 1
+ * @returns {Number} Milliseconds before the next attempt
+ */
+var delayFor = function (policy, attempt) {
+    var ms = Math.min(policy.maxDelay, policy.backoff * Math.pow(policy.factor, attempt - 1));
+    return Math.max(0, Math.round(ms * (1 + policy.jitter * (Math.random() * 2 - 1))));
+};
+
+/**
+ * Runs `fn` until it succeeds, fails with an error which is not retryable, or runs out of attempts.
+ * The error that is eventually thrown has the number of `attempts` made.
+ * @param {RetryPolicy|null} policy
+ * @param {function(Number):Promise} fn Receives the attempt number, starting at 1
+ * @param {Object?} options
+ * @param {AbortSignal?} options.signal Stops waiting for the next attempt
+ * @param {function(Error, Number, Number)?} options.onRetry Called with the error, the attempt which failed and the delay
+ * @returns {Promise}
+ */
+var withRetry = function (policy, fn, options) {
+    options = options || {};
+
+    var attempt = function (n) {
+        return Promise.resolve(n).then(fn)
+            .catch(function (err) {
+                var retryable = policy && n < policy.maxAttempts &&
+                    !(options.signal && options.signal.aborted) &&
+                    policy.retryOn.some(function (ErrorClass) {
+                        return err instanceof ErrorClass;
+                    });
+
+                if (!retryable) {
+                    if (err && typeof err === 'object') {
+                        err.attempts = n;
+                    }
+                    throw err;
+                }
+
+                var ms = delayFor(policy, n);
+                if (options.onRetry) {
+                    options.onRetry(err, n, ms);
+                }
+
+                return poll.delay(ms, options.signal)
+                    .then(function () {
+                        return attempt(n + 1);
+                    });
+            });
+    };
+
+    return attempt(1);
+};
+
+module.exports = {
+    DEFAULT_POLICY: DEFAULT_POLICY,
+    NON_IDEMPOTENT_COMMANDS: NON_IDEMPOTENT_COMMANDS,
+    validatePolicy: validatePolicy,
+    resolvePolicy: resolvePolicy,
+    withRetry: withRetry
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+var child_process = require('child_process');
+
+// Same as the default of child_process.exec
+var DEFAULT_MAX_BUFFER = 1024 * 1024;
+
+/**
+ * Runs a process without a shell, collecting its output.
+ * Rejects the way `child_process.exec` does - with an error carrying `code`, `signal`, `stdout` and `stderr`.
+ * @param {String} file
+ * @param {[String]} args
+ * @param {Object?} options
+ * @param {AbortSignal?} options.signal Kills the process when aborted
+ * @param {Number?} options.maxBuffer Largest amount of data allowed on stdout or stderr
+ * @returns {Promise.<{stdout, stderr}>}
+ */
+var spawnProcess = function (file, args, options) {
+    options = options || {};
+
+    var signal = options.signal;
+    var maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+
+    return new Promise(function (resolve, reject) {
+
+        var stdout = [], stderr = [];
+        var stdoutLength = 0, stderrLength = 0;
+        var settled = false;
+        var child;
+
+        var output = function (chunks) {
+            return Buffer.concat(chunks).toString('utf8');
+        };
+
+        var onAbort = function () {
+            var err = new Error('The operation was aborted');
+            err.name = 'AbortError';
+            err.code = 'ABORT_ERR';
+            kill();
+            finish(err);
+        };
+
+        var kill = function () {
+            if (child && child.exitCode === null && !child.killed) {
+                try {
+                    child.kill();
+                } catch (ignored) {
+                    // Already gone
+                }
+            }
+        };
+
+        var finish = function (err) {
+            if (settled) return;
+            settled = true;
+
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+
+            if (err) {
+                err.stdout = output(stdout);
+                err.stderr = output(stderr);
+                return reject(err);
+            }
+
+            resolve({ stdout: output(stdout), stderr: output(stderr) });
+        };
+
+        var collect = function (chunks, name) {
+            return function (chunk) {
+                var length = name === 'stdout'
+                    ? (stdoutLength += chunk.length)
+                    : (stderrLength += chunk.length);
+
+                if (length > maxBuffer) {
+                    var err = new RangeError(name + ' maxBuffer length exceeded');
+                    err.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+                    kill();
+                    return finish(err);
+                }
+
+                chunks.push(chunk);
+            };
+        };
+
+        if (signal && signal.aborted) {
+            return onAbort();
+        }
+
+        try {
+            child = child_process.spawn(file, args, { windowsHide: true });
+        } catch (err) {
+            return finish(err);
+        }
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        child.stdout.on('data', collect(stdout, 'stdout'));
+        child.stderr.on('data', collect(stderr, 'stderr'));
+
+        child.on('error', function (err) {
+            finish(err);
+        });
+
+        child.on('close', function (code, killSignal) {
+            if (code === 0) {
+                return finish(null);
+            }
+
+            var err = new Error('Command failed: ' + file);
+            err.code = code;
+            err.signal = killSignal;
+            finish(err);
+        });
+    });
+};
+
+module.exports = {
+    DEFAULT_MAX_BUFFER: DEFAULT_MAX_BUFFER,
+    spawnProcess: spawnProcess
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+var util = require('util');
+var VirtualMachine = require('./virtual-machine').VirtualMachine;
+
+// Handles which are not disposed yet, cleaned up on SIGINT
+var active = [];
+
+var onSigint = function () {
+    var handles = active.slice();
+
+    Promise.all(handles.map(function (handle) {
+        return handle.dispose().catch(function () {});
+    })).then(function () {
+        // Exit like the default handler would, unless someone else handles SIGINT
+        if (process.listenerCount('SIGINT') === 0) {
+            process.exit(130);
+        }
+    });
+
+    process.removeListener('SIGINT', onSigint);
+};
+
+var track = function (handle) {
+    if (!active.length) {
+        process.on('SIGINT', onSigint);
+    }
+    active.push(handle);
+};
+
+var untrack = function (handle) {
+    var index = active.indexOf(handle);
+    if (index !== -1) {
+        active.splice(index, 1);
+    }
+    if (!active.length) {
+        process.removeListener('SIGINT', onSigint);
+    }
+};
+
+/**
+ * A VM which is cleaned up when disposed - reverted to a snapshot, or deleted if it is a clone.
+ * It has all the methods of a `VirtualMachine`, and is disposed on SIGINT if still in use.
+ * With `await using`, it is disposed when leaving the scope.
+ * @constructor
+ * @extends VirtualMachine
+ * @param {VMRun} vmrun
+ * @param {String} vmxFile
+ * @param {function():Promise} cleanup
+ */
+var TemporaryVM = function (vmrun, vmxFile, cleanup) {
+    VirtualMachine.call(this, vmrun, vmxFile);
+
+    this._cleanup = cleanup;
+    this._disposing = null;
+    track(this);
+};
+util.inherits(TemporaryVM, VirtualMachine);
+
+/**
+ * Whether `dispose` was called
+ * @returns {Boolean}
+ */
+TemporaryVM.prototype.isDisposed = function () {
+    return !!this._disposing;
+};
+
+/**
+ * Cleans up the VM. Calling it again returns the same promise.
+ * @returns {Promise}
+ */
+TemporaryVM.prototype.dispose = function () {
+    if (!this._disposing) {
+        untrack(this);
+        this._disposing = Promise.resolve().then(this._cleanup);
+    }
+    return this._disposing;
+};
+
+if (typeof Symbol.asyncDispose === 'symbol') {
+    TemporaryVM.prototype[Symbol.asyncDispose] = TemporaryVM.prototype.dispose;
+}
+
+module.exports = {
+    TemporaryVM: TemporaryVM
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+// VMRun methods which take the vmx file as their first argument
+var VM_METHODS = [
+    'start', 'poweroff', 'powerOff', 'shutdown', 'reset', 'restart', 'suspend', 'pause', 'unpause',
+    'listSnapshots', 'findSnapshotPath', 'snapshotExists', 'snapshot', 'deleteSnapshot', 'revertToSnapshot',
+    'runProgramInGuest', 'startProgramInGuest', 'runScriptInGuest', 'execInGuest',
+    'fileExistsInGuest', 'directoryExistsInGuest',
+    'setSharedFolderState', 'addSharedFolder', 'removeSharedFolder', 'enableSharedFolders', 'disableSharedFolders',
+    'listNetworkAdapters', 'addNetworkAdapter', 'configureNetworkAdapter', 'deleteNetworkAdapter',
+    'listProcessesInGuest', 'killProcessInGuest', 'findProcessesInGuest', 'killProcessesByName', 'waitForProcessExit',
+    'deleteFileInGuest', 'createDirectoryInGuest', 'deleteDirectoryInGuest', 'createTempfileInGuest',
+    'listDirectoryInGuest', 'copyFileFromHostToGuest', 'copyFileFromGuestToHost',
+    'copyDirectoryToGuest', 'copyDirectoryFromGuest', 'renameFileInGuest', 'captureScreen',
+    'readFileInGuest', 'writeFileInGuest', 'statInGuest', 'mkdirpInGuest', 'rmrfInGuest', 'guestFs',
+    'writeVariable', 'readVariable', 'getGuestIPAddress',
+    'getState', 'waitForState', 'waitForGuestReady',
+    'upgradeVM', 'installTools', 'checkToolsState',
+    'register', 'unregister', 'deleteVM', 'clone',
+    'readVmx', 'writeVmx', 'editVmx'
+];
+
+/**
+ * A handle for a single VM, exposing the VMRun methods without their `vmxFile` argument.
+ * i.e. `vm.copyFileFromHostToGuest(pathInHost, pathInGuest)`
+ * @constructor
+ * @param {VMRun} vmrun The VMRun instance that runs the commands, with the options for this VM
+ * @param {String} vmxFile
+ */
+var VirtualMachine = function (vmrun, vmxFile) {
+    this._vmrun = vmrun;
+    this.vmxFile = vmxFile;
+};
+
+VM_METHODS.forEach(function (name) {
+    VirtualMachine.prototype[name] = function () {
+        var args = Array.prototype.slice.call(arguments);
+        args.unshift(this.vmxFile);
+        return this._vmrun[name].apply(this._vmrun, args);
+    };
+});
+
+/**
+ * Call a VMRun command, with the vmx file as the first argument
+ * @param {String} command
+ * @param {[String]?} args
+ * @param {[String]?} unesc_args
+ * @param {VMRunCallOptions?} options
+ * @returns {Promise<{stdout, stderr}>}
+ */
+VirtualMachine.prototype.vmrun = function (command, args, unesc_args, options) {
+    return this._vmrun.vmrun(command, [this.vmxFile].concat(args || []), unesc_args, options);
+};
+
+/**
+ * Returns a new handle for the same VM with different options, inheriting from the current options
+ * @param {VMRunOptions?} options
+ * @returns {VirtualMachine}
+ */
+VirtualMachine.prototype.withModifiedOptions = function (options) {
+    return new VirtualMachine(this._vmrun.withModifiedOptions(options), this.vmxFile);
+};
+
+module.exports = {
+    VM_METHODS: VM_METHODS,
+    VirtualMachine: VirtualMachine
+};
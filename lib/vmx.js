@@ -0,0 +1,393 @@
+'use strict';
+
+var fs = require('fs');
+var Path = require('path');
+var errors = require('./errors');
+
+var ENTRY_PATTERN = /^\s*([^\s=#][^=]*?)\s*=\s*(?:"([^"]*)"|(.*?))\s*$/;
+
+// Typed accessors for common keys, i.e. `vmx.memory = 4096`
+var COMMON_KEYS = {
+    displayName: { key: 'displayName', type: 'string' },
+    guestOS: { key: 'guestOS', type: 'string' },
+    annotation: { key: 'annotation', type: 'string' },
+    memory: { key: 'memsize', type: 'number' },
+    cpus: { key: 'numvcpus', type: 'number' },
+    coresPerSocket: { key: 'cpuid.coresPerSocket', type: 'number' },
+    virtualHWVersion: { key: 'virtualHW.version', type: 'number' },
+    firmware: { key: 'firmware', type: 'string' }
+};
+
+/**
+ * Values are quoted, with quotes and other special characters escaped as `|XX` (hex)
+ * @param {String} value
+ * @returns {String}
+ */
+var decodeValue = function (value) {
+    return value.replace(/\|([0-9A-Fa-f]{2})/g, function (m, hex) {
+        return String.fromCharCode(parseInt(hex, 16));
+    });
+};
+
+/**
+ * @param {String} value
+ * @returns {String}
+ */
+var encodeValue = function (value) {
+    return (value + '').replace(/[|"\x00-\x1f]/g, function (c) {
+        var hex = c.charCodeAt(0).toString(16).toUpperCase();
+        return '|' + (hex.length < 2 ? '0' : '') + hex;
+    });
+};
+
+/**
+ * The contents of a vmx file. Lines which are not changed are written back exactly as they were read,
+ * keeping their order, comments and blank lines. Keys are case insensitive, as they are for VMware.
+ * @constructor
+ * @param {String?} text
+ */
+var Vmx = function (text) {
+    text = text || '';
+
+    this.eol = /\r\n/.test(text) ? '\r\n' : '\n';
+    this._lines = text.split(/\r?\n/);
+
+    // A trailing newline does not make an extra line. New files get one, others keep what they had.
+    this._trailingEol = !text || this._lines[this._lines.length - 1] === '';
+    if (this._trailingEol) {
+        this._lines.pop();
+    }
+
+    this._lines = this._lines.map(function (raw) {
+        var matches = raw.match(ENTRY_PATTERN);
+        if (!matches || /^\s*#/.test(raw)) {
+            return { raw: raw };
+        }
+
+        return {
+            raw: raw,
+            key: matches[1],
+            value: decodeValue(matches[2] !== undefined ? matches[2] : matches[3])
+        };
+    });
+};
+
+/**
+ * @param {String} key
+ * @returns {Object|undefined} The last line setting the key, which is the one VMware uses
+ */
+Vmx.prototype._find = function (key) {
+    var lower = (key + '').toLowerCase();
+
+    for (var i = this._lines.length - 1; i >= 0; i--) {
+        if (this._lines[i].key !== undefined && this._lines[i].key.toLowerCase() === lower) {
+            return this._lines[i];
+        }
+    }
+
+    return undefined;
+};
+
+/**
+ * @param {String} key
+ * @returns {Boolean}
+ */
+Vmx.prototype.has = function (key) {
+    return !!this._find(key);
+};
+
+/**
+ * @param {String} key
+ * @returns {String|undefined}
+ */
+Vmx.prototype.get = function (key) {
+    var line = this._find(key);
+    return line ? line.value : undefined;
+};
+
+/**
+ * @param {String} key
+ * @returns {Number|undefined} undefined if not set or not a number
+ */
+Vmx.prototype.getNumber = function (key) {
+    var value = this.get(key);
+    if (value === undefined || !/^\s*-?[0-9]+(\.[0-9]+)?\s*$/.test(value)) {
+        return undefined;
+    }
+    return parseFloat(value);
+};
+
+/**
+ * @param {String} key
+ * @returns {Boolean|undefined} undefined if not set or not a boolean
+ */
+Vmx.prototype.getBoolean = function (key) {
+    var value = (this.get(key) || '').trim().toLowerCase();
+
+    if (value === 'true' || value === 'yes' || value === '1') return true;
+    if (value === 'false' || value === 'no' || value === '0') return false;
+    return undefined;
+};
+
+/**
+ * Sets a key, replacing the existing line in place or appending a new one.
+ * Booleans are written as `"TRUE"` / `"FALSE"`. `null` or `undefined` removes the key.
+ * @param {String} key
+ * @param {String|Number|Boolean|null} value
+ * @returns {Vmx}
+ */
+Vmx.prototype.set = function (key, value) {
+    if (value === null || value === undefined) {
+        return this.remove(key);
+    }
+
+    if (!/^[^\s=#"][^=\r\n"]*$/.test(key) || /\s$/.test(key)) {
+        throw new TypeError('Invalid vmx key: ' + key);
+    }
+
+    if (typeof value === 'boolean') {
+        value = value ? 'TRUE' : 'FALSE';
+    }
+
+    value = value + '';
+
+    var line = this._find(key);
+    if (!line) {
+        line = { key: key };
+        this._lines.push(line);
+    }
+
+    line.value = value;
+    line.raw = line.key + ' = "' + encodeValue(value) + '"';
+    return this;
+};
+
+/**
+ * Removes every line setting the key
+ * @param {String} key
+ * @returns {Vmx}
+ */
+Vmx.prototype.remove = function (key) {
+    var lower = (key + '').toLowerCase();
+
+    this._lines = this._lines.filter(function (line) {
+        return line.key === undefined || line.key.toLowerCase() !== lower;
+    });
+    return this;
+};
+
+/**
+ * @param {String?} prefix Only keys starting with this, case insensitive
+ * @returns {[String]} Keys in file order, without duplicates
+ */
+Vmx.prototype.keys = function (prefix) {
+    var lowerPrefix = (prefix || '').toLowerCase();
+    var seen = {};
+
+    return this._lines
+        .filter(function (line) {
+            if (line.key === undefined) return false;
+
+            var lower = line.key.toLowerCase();
+            if (seen[lower] || lower.indexOf(lowerPrefix) !== 0) return false;
+
+            seen[lower] = true;
+            return true;
+        })
+        .map(function (line) {
+            return line.key;
+        });
+};
+
+/**
+ * All the `ethernetN.*` settings of a network adapter, without the prefix
+ * @param {Number} index
+ * @returns {Object<String, String>|null} i.e. `{ present: 'TRUE', connectionType: 'nat', ... }`, null if not present
+ */
+Vmx.prototype.getEthernet = function (index) {
+    var self = this;
+    var prefix = 'ethernet' + index + '.';
+    var keys = self.keys(prefix);
+
+    if (!keys.length) return null;
+
+    return keys.reduce(function (settings, key) {
+        settings[key.slice(prefix.length)] = self.get(key);
+        return settings;
+    }, {});
+};
+
+/**
+ * Sets `ethernetN.*` settings of a network adapter, leaving the other ones untouched
+ * @param {Number} index
+ * @param {Object<String, String|Number|Boolean|null>} settings i.e. `{ connectionType: 'bridged' }`
+ * @returns {Vmx}
+ */
+Vmx.prototype.setEthernet = function (index, settings) {
+    var self = this;
+
+    Object.keys(settings).forEach(function (name) {
+        self.set('ethernet' + index + '.' + name, settings[name]);
+    });
+    return self;
+};
+
+/**
+ * Indexes of the network adapters defined in the file
+ * @returns {[Number]}
+ */
+Vmx.prototype.ethernetIndexes = function () {
+    var indexes = [];
+
+    this.keys('ethernet').forEach(function (key) {
+        var matches = key.match(/^ethernet([0-9]+)\./i);
+        var index = matches && parseInt(matches[1], 10);
+        if (matches && indexes.indexOf(index) === -1) {
+            indexes.push(index);
+        }
+    });
+
+    return indexes.sort(function (a, b) {
+        return a - b;
+    });
+};
+
+/**
+ * @returns {Object<String, String>} All the keys and values
+ */
+Vmx.prototype.toJSON = function () {
+    var self = this;
+
+    return self.keys().reduce(function (json, key) {
+        json[key] = self.get(key);
+        return json;
+    }, {});
+};
+
+/**
+ * @returns {String} The file contents
+ */
+Vmx.prototype.toString = function () {
+    var text = this._lines
+        .map(function (line) {
+            return line.raw;
+        })
+        .join(this.eol);
+
+    return this._lines.length && this._trailingEol ? text + this.eol : text;
+};
+
+Object.keys(COMMON_KEYS).forEach(function (name) {
+    var key = COMMON_KEYS[name].key;
+    var type = COMMON_KEYS[name].type;
+
+    Object.defineProperty(Vmx.prototype, name, {
+        get: function () {
+            return type === 'number' ? this.getNumber(key) : this.get(key);
+        },
+        set: function (value) {
+            if (type === 'number' && value !== null && value !== undefined &&
+                (typeof value !== 'number' || value % 1 !== 0 || value < 0)) {
+                throw new TypeError('vmx ' + name + ' must be a non-negative integer');
+            }
+            this.set(key, value);
+        },
+        enumerable: true
+    });
+});
+
+/**
+ * @param {String} text
+ * @returns {Vmx}
+ */
+var parse = function (text) {
+    return new Vmx(text);
+};
+
+/**
+ * @param {String} vmxFile
+ * @returns {Promise.<Vmx>}
+ */
+var read = function (vmxFile) {
+    return fs.promises.readFile(vmxFile, 'utf8')
+        .then(parse);
+};
+
+/**
+ * The lock directory VMware creates next to the vmx file while the VM is in use
+ * @param {String} vmxFile
+ * @returns {Promise.<Boolean>}
+ */
+var isLocked = function (vmxFile) {
+    return fs.promises.stat(vmxFile + '.lck')
+        .then(function (stat) {
+            return stat.isDirectory();
+        }, function () {
+            return false;
+        });
+};
+
+/**
+ * Writes a vmx file, refusing to while the VM is locked, as VMware would overwrite the changes.
+ * The file is replaced atomically.
+ * @param {String} vmxFile
+ * @param {Vmx|String} vmx
+ * @param {Object?} options
+ * @param {Boolean?} options.force Write even if the VM is locked
+ * @returns {Promise} Rejects with a `VMLockedError` if the VM is locked
+ */
+var write = function (vmxFile, vmx, options) {
+    options = options || {};
+
+    return (options.force ? Promise.resolve(false) : isLocked(vmxFile))
+        .then(function (locked) {
+            if (locked) {
+                throw new errors.VMLockedError('The virtual machine is locked, not writing ' + vmxFile);
+            }
+
+            var tempFile = Path.join(Path.dirname(vmxFile), '.' + Path.basename(vmxFile) + '.' + process.pid + '.tmp');
+
+            return fs.promises.writeFile(tempFile, vmx.toString(), 'utf8')
+                .then(function () {
+                    return fs.promises.rename(tempFile, vmxFile);
+                })
+                .catch(function (err) {
+                    return fs.promises.unlink(tempFile)
+                        .catch(function () {})
+                        .then(function () {
+                            throw err;
+                        });
+                });
+        });
+};
+
+/**
+ * Reads a vmx file, lets `fn` change it, and writes it back
+ * @param {String} vmxFile
+ * @param {function(Vmx):(Promise|*)} fn
+ * @param {Object?} options
+ * @param {Boolean?} options.force Write even if the VM is locked
+ * @returns {Promise.<Vmx>}
+ */
+var edit = function (vmxFile, fn, options) {
+    return read(vmxFile)
+        .then(function (vmx) {
+            return Promise.resolve(fn(vmx))
+                .then(function () {
+                    return write(vmxFile, vmx, options);
+                })
+                .then(function () {
+                    return vmx;
+                });
+        });
+};
+
+module.exports = {
+    COMMON_KEYS: COMMON_KEYS,
+    Vmx: Vmx,
+    parse: parse,
+    read: read,
+    write: write,
+    edit: edit,
+    isLocked: isLocked
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var capabilities = require('../lib/capabilities');
+var VMRun = require('..');
+
+test('parseHelp reads the version and every command of the usage, capitalized ones too', function () {
+    var fake = new VMRun.FakeVMRun({ version: '1.17.0', build: '21139696' });
+
+    return capabilities.readHelp('vmrun', fake.executor)
+        .then(function (help) {
+            var caps = capabilities.parseHelp(help);
+
+            assert.strictEqual(caps.version, '1.17.0');
+            assert.strictEqual(caps.build, '21139696');
+            ['start', 'listSnapshots', 'CopyFileFromHostToGuest', 'CopyFileFromGuestToHost', 'CreateTempfileInGuest', 'listHostNetworks']
+                .forEach(function (command) {
+                    assert.ok(caps.commands.indexOf(command) !== -1, command);
+                });
+            assert.strictEqual(caps.commands.indexOf('-gu'), -1);
+        });
+});
+
+test('unsupportedReason ignores the case of command names', function () {
+    var caps = { version: '1.17.0', commands: ['start', 'CopyFileFromHostToGuest', 'snapshot'] };
+
+    assert.strictEqual(capabilities.unsupportedReason(caps, 'copyFileFromHostToGuest', 'ws'), null);
+    assert.strictEqual(capabilities.unsupportedReason(caps, 'START', 'ws'), null);
+    assert.match(capabilities.unsupportedReason(caps, 'clone', 'ws'), /not supported by vmrun 1\.17\.0/);
+    assert.match(capabilities.unsupportedReason(caps, 'snapshot', 'player'), /host type "player"/);
+});
+
+test('checkCapabilities lets capitalized commands run', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    var vmrun = VMRun.withOptions({ executor: fake.executor, checkCapabilities: true });
+
+    var dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+
+    return vmrun.createTempfileInGuest('/vms/a/a.vmx')
+        .then(function (path) {
+            return vmrun.copyFileFromGuestToHost('/vms/a/a.vmx', path, Path.join(dir, 'copy'));
+        })
+        .then(function () {
+            return vmrun.copyFileFromHostToGuest('/vms/a/a.vmx', Path.join(dir, 'copy'), '/tmp/copy');
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        })
+        .then(function () {
+            return assert.rejects(
+                VMRun.withOptions({ executor: fake.executor, checkCapabilities: true, hostType: 'player' })
+                    .snapshot('/vms/a/a.vmx', 'x'),
+                VMRun.VMRunUnsupportedError);
+        });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+
+var CLI = Path.join(__dirname, '..', 'bin', 'vmrun-js.js');
+
+// Answers `list` the way vmrun does, after the authentication flags
+var STUB = [
+    'var args = process.argv.slice(2);',
+    'while (/^-/.test(args[0])) args.splice(0, 2);',
+    'if (args[0] === "list") process.stdout.write("Total running VMs: 2\\n/vms/a/a.vmx\\n/vms/b b/b.vmx\\n");',
+    'else process.exitCode = 255;'
+].join('\n');
+
+/**
+ * Runs the CLI without any `VMRUN_*` variables of the test environment
+ * @param {[String]} args
+ * @returns {{status: Number, stdout: String, stderr: String}}
+ */
+var run = function (args) {
+    var result = childProcess.spawnSync(process.execPath, [CLI].concat(args), {
+        env: { PATH: process.env.PATH },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    if (result.error) {
+        throw result.error;
+    }
+    return result;
+};
+
+test('--help prints the usage and exits with 0', function () {
+    var result = run(['--help']);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^Usage: vmrun-js /);
+    assert.match(result.stdout, /\n  list\n/);
+});
+
+test('usage errors exit with 2', function () {
+    var result = run(['noSuchCommand']);
+
+    assert.strictEqual(result.status, 2);
+    assert.strictEqual(result.stderr, 'vmrun-js: Unknown command noSuchCommand\n');
+
+    result = run(['--json', 'list', '--bogus']);
+    assert.strictEqual(result.status, 2);
+    assert.deepStrictEqual(JSON.parse(result.stderr).error, {
+        name: 'UsageError',
+        message: 'Unknown flag --bogus',
+        exitCode: 2,
+        vmrunExitCode: null,
+        guestExitCode: null
+    });
+
+    assert.strictEqual(run([]).status, 2);
+});
+
+test('a missing vmrun binary exits with 4', function () {
+    var result = run(['list', '--vmrun-path', Path.join(os.tmpdir(), 'no-such-dir', 'vmrun')]);
+
+    assert.strictEqual(result.status, 4);
+    assert.strictEqual(result.stdout, '');
+});
+
+test('list --json prints the running VMs', { skip: process.platform === 'win32' ? 'the stub needs a shebang line' : false }, function () {
+    var dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+    var stub = Path.join(dir, 'vmrun');
+    fs.writeFileSync(stub, '#!' + process.execPath + '\n' + STUB + '\n', { mode: 0o755 });
+
+    try {
+        var result = run(['--vmrun-path=' + stub, 'list', '--json']);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout), ['/vms/a/a.vmx', '/vms/b b/b.vmx']);
+
+        result = run(['--vmrun-path=' + stub, 'list']);
+        assert.strictEqual(result.stdout, '/vms/a/a.vmx\n/vms/b b/b.vmx\n');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var Path = require('path');
+var concurrency = require('../lib/concurrency');
+var VMRun = require('..');
+
+var delay = function (ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+};
+
+test('limiter caps nested tasks with one limit', function () {
+    var run = concurrency.limiter(2);
+    var running = 0, maxRunning = 0;
+
+    var task = function () {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        return delay(5).then(function () {
+            running--;
+        });
+    };
+
+    var walk = function (depth) {
+        return run(task).then(function () {
+            if (!depth) return;
+            return Promise.all([walk(depth - 1), walk(depth - 1), walk(depth - 1)]);
+        });
+    };
+
+    return walk(3).then(function () {
+        assert.strictEqual(maxRunning, 2);
+    });
+});
+
+test('limiter skips the tasks which did not start after a failure', function () {
+    var run = concurrency.limiter(1);
+    var ran = [];
+
+    var results = [1, 2, 3].map(function (n) {
+        return run(function () {
+            ran.push(n);
+            if (n === 1) throw new Error('first failed');
+        });
+    });
+
+    return Promise.allSettled(results).then(function (settled) {
+        assert.deepStrictEqual(ran, [1]);
+        settled.forEach(function (x) {
+            assert.strictEqual(x.status, 'rejected');
+            assert.strictEqual(x.reason.message, 'first failed');
+        });
+    });
+});
+
+/**
+ * @returns {{promise: Promise, resolve: Function}}
+ */
+var deferred = function () {
+    var result = {};
+    result.promise = new Promise(function (resolve) {
+        result.resolve = resolve;
+    });
+    return result;
+};
+
+test('Scheduler caps the running tasks and runs the tasks of a key one at a time, in order', function () {
+    var scheduler = new concurrency.Scheduler();
+    var order = [];
+    var running = 0, maxRunning = 0;
+
+    var task = function (name) {
+        return function () {
+            order.push(name);
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            return delay(5).then(function () {
+                running--;
+            });
+        };
+    };
+
+    return Promise.all([
+        scheduler.schedule({ key: 'a', limit: 2 }, task('a1')),
+        scheduler.schedule({ key: 'a', limit: 2 }, task('a2')),
+        scheduler.schedule({ key: 'b', limit: 2 }, task('b1')),
+        scheduler.schedule({ key: 'c', limit: 2 }, task('c1')),
+        scheduler.schedule({ key: 'a', limit: 2 }, task('a3')),
+        scheduler.schedule({ key: 'b', limit: 2 }, task('b2'))
+    ]).then(function () {
+        assert.strictEqual(maxRunning, 2);
+        ['a', 'b'].forEach(function (key) {
+            var ofKey = order.filter(function (name) {
+                return name[0] === key;
+            });
+            assert.deepStrictEqual(ofKey, ofKey.slice().sort());
+        });
+        assert.deepStrictEqual(order.slice(0, 2), ['a1', 'b1']);
+        assert.strictEqual(scheduler.stats().started, 6);
+    });
+});
+
+test('Scheduler removes a task aborted while queued and runs the next one', function () {
+    var scheduler = new concurrency.Scheduler();
+    var first = deferred();
+    var controller = new AbortController();
+    var ran = [];
+
+    var running = scheduler.schedule({ key: 'a' }, function () {
+        ran.push(1);
+        return first.promise;
+    });
+    var aborted = scheduler.schedule({ key: 'a', signal: controller.signal }, function () {
+        ran.push(2);
+    });
+    var last = scheduler.schedule({ key: 'a' }, function () {
+        ran.push(3);
+    });
+
+    assert.deepStrictEqual(scheduler.stats().queues, { a: { running: true, waiting: 2 } });
+    controller.abort();
+
+    return assert.rejects(aborted, { name: 'AbortError' })
+        .then(function () {
+            assert.deepStrictEqual(scheduler.stats().queues, { a: { running: true, waiting: 1 } });
+            first.resolve();
+            return Promise.all([running, last]);
+        })
+        .then(function () {
+            assert.deepStrictEqual(ran, [1, 3]);
+        });
+});
+
+test('serializePerVM treats different spellings of a vmx path as the same VM', function () {
+    var running = 0, maxRunning = 0;
+    var vmrun = VMRun.withOptions({
+        serializePerVM: true,
+        executor: function () {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            return delay(5).then(function () {
+                running--;
+                return { stdout: '', stderr: '' };
+            });
+        }
+    });
+
+    return Promise.all([
+        Path.join('vms', 'a', 'a.vmx'),
+        Path.resolve('vms', 'a', 'a.vmx'),
+        '"' + Path.resolve('vms', 'b', '..', 'a', 'a.vmx') + '"'
+    ].map(function (vmxFile) {
+        return vmrun.vmrun('readVariable', [vmxFile, 'guestVar', 'role']);
+    })).then(function () {
+        assert.strictEqual(maxRunning, 1);
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var VMRun = require('..');
+
+/**
+ * @param {FakeVMRun} fake
+ * @returns {{executor: VMRunExecutor, maxRunning: function():Number}} Runs the fake slowly, tracking how many runs overlap
+ */
+var trackedExecutor = function (fake) {
+    var running = 0, maxRunning = 0;
+
+    return {
+        executor: function (file, args, options) {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 5);
+            })
+                .then(function () {
+                    return fake.executor(file, args, options);
+                })
+                .finally(function () {
+                    running--;
+                });
+        },
+        maxRunning: function () {
+            return maxRunning;
+        }
+    };
+};
+
+var tempDir = function () {
+    return fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+};
+
+test('copyDirectoryToGuest creates the missing parents of the target', function () {
+    var dir = tempDir();
+    fs.mkdirSync(Path.join(dir, 'sub'));
+    fs.writeFileSync(Path.join(dir, 'a.txt'), 'a');
+    fs.writeFileSync(Path.join(dir, 'sub', 'b.txt'), 'b');
+
+    var fake = new VMRun.FakeVMRun();
+    var vm = fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+    var events = [];
+
+    return vmrun.copyDirectoryToGuest('/vms/a/a.vmx', dir, '/opt/app/current', {
+        onProgress: function (e) {
+            events.push(e.type + ' ' + e.target);
+        }
+    })
+        .then(function (tree) {
+            assert.deepStrictEqual(tree, { directories: ['sub'], files: ['a.txt', 'sub/b.txt'] });
+            assert.strictEqual(vm.files['/opt/app/current/a.txt'].toString(), 'a');
+            assert.strictEqual(vm.files['/opt/app/current/sub/b.txt'].toString(), 'b');
+            assert.strictEqual(events[0], 'directory /opt/app/current');
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+});
+
+test('copyDirectoryFromGuest caps the vmrun calls of the whole tree', function () {
+    var files = {};
+    ['a', 'b', 'c'].forEach(function (x) {
+        ['d', 'e', 'f'].forEach(function (y) {
+            ['g', 'h'].forEach(function (z) {
+                files['/data/' + x + '/' + y + '/' + z + '/file.txt'] = x + y + z;
+            });
+        });
+    });
+
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on', files: files });
+    var tracked = trackedExecutor(fake);
+    var vmrun = VMRun.withOptions({ executor: tracked.executor });
+    var dir = tempDir();
+
+    return vmrun.copyDirectoryFromGuest('/vms/a/a.vmx', '/data', dir, { concurrency: 2 })
+        .then(function (tree) {
+            assert.strictEqual(tree.files.length, 18);
+            assert.strictEqual(fs.readFileSync(Path.join(dir, 'c', 'f', 'h', 'file.txt'), 'utf8'), 'cfh');
+            assert.ok(tracked.maxRunning() <= 2, 'ran ' + tracked.maxRunning() + ' at once');
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+});
+
+test('copyDirectoryToGuest caps the vmrun calls', function () {
+    var dir = tempDir();
+    ['a', 'b', 'c'].forEach(function (x) {
+        fs.mkdirSync(Path.join(dir, x, 'deeper'), { recursive: true });
+        fs.writeFileSync(Path.join(dir, x, 'deeper', 'file.txt'), x);
+        fs.writeFileSync(Path.join(dir, x, 'file.txt'), x);
+    });
+
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    var tracked = trackedExecutor(fake);
+    var vmrun = VMRun.withOptions({ executor: tracked.executor });
+
+    return vmrun.copyDirectoryToGuest('/vms/a/a.vmx', dir, '/data', { concurrency: 3 })
+        .then(function (tree) {
+            assert.strictEqual(tree.files.length, 6);
+            assert.ok(tracked.maxRunning() <= 3, 'ran ' + tracked.maxRunning() + ' at once');
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+});
+
+test('copyDirectoryToGuest follows symlinked directories, but not back to their parents', { skip: process.platform === 'win32' }, function () {
+    var dir = tempDir();
+    var other = tempDir();
+    fs.mkdirSync(Path.join(dir, 'a'));
+    fs.writeFileSync(Path.join(dir, 'a', 'file.txt'), 'a');
+    fs.writeFileSync(Path.join(other, 'shared.txt'), 'shared');
+    fs.symlinkSync(dir, Path.join(dir, 'a', 'loop'));
+    fs.symlinkSync(other, Path.join(dir, 'a', 'linked'));
+
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.copyDirectoryToGuest('/vms/a/a.vmx', dir, '/data')
+        .then(function (tree) {
+            assert.deepStrictEqual(tree.directories, ['a', 'a/linked']);
+            assert.deepStrictEqual(tree.files, ['a/file.txt', 'a/linked/shared.txt']);
+            assert.strictEqual(fake.getVM('/vms/a/a.vmx').files['/data/a/linked/shared.txt'].toString(), 'shared');
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+            fs.rmSync(other, { recursive: true, force: true });
+        });
+});
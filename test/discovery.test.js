@@ -0,0 +1,85 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+/**
+ * A probe which finds vmrun only at the given paths, recording what it checked
+ * @param {[String]} installed
+ * @returns {function(String):Promise}
+ */
+var fakeProbe = function (installed) {
+    var probe = function (path) {
+        probe.checked.push(path);
+        return Promise.resolve(installed.indexOf(path) === -1 ? null : { path: path, version: '1.17.0', build: '1' });
+    };
+    probe.checked = [];
+    return probe;
+};
+
+test('discoverVMRun searches the PATH before the standard locations', function () {
+    var probe = fakeProbe(['/opt/vmware/bin/vmrun', '/usr/lib/vmware/bin/vmrun']);
+
+    return VMRun.discoverVMRun({
+        env: { PATH: '/home/me/bin:/usr/bin:' },
+        platform: 'linux',
+        probe: probe,
+        refresh: true
+    })
+        .then(function (found) {
+            assert.strictEqual(found.path, '/usr/lib/vmware/bin/vmrun');
+            assert.deepStrictEqual(probe.checked, [
+                '/home/me/bin/vmrun',
+                '/usr/bin/vmrun',
+                '/usr/local/bin/vmrun',
+                '/usr/lib/vmware/bin/vmrun'
+            ]);
+        });
+});
+
+test('discoverVMRun uses the Windows PATH and Program Files', function () {
+    var probe = fakeProbe(['D:\\Apps\\VMware\\VMware Player\\vmrun.exe']);
+
+    return VMRun.discoverVMRun({
+        env: { Path: '"C:\\Tools";C:\\Windows', ProgramFiles: 'D:\\Apps' },
+        platform: 'win32',
+        probe: probe,
+        refresh: true
+    })
+        .then(function (found) {
+            assert.strictEqual(found.path, 'D:\\Apps\\VMware\\VMware Player\\vmrun.exe');
+            assert.deepStrictEqual(probe.checked, [
+                'C:\\Tools\\vmrun.exe',
+                'C:\\Windows\\vmrun.exe',
+                'D:\\Apps\\VMware\\VMware Workstation\\vmrun.exe',
+                'D:\\Apps\\VMware\\VMware Player\\vmrun.exe'
+            ]);
+        });
+});
+
+test('VMRUN_PATH overrides the search, and a miss lists the paths tried', function () {
+    var probe = fakeProbe(['/usr/bin/vmrun']);
+
+    return assert.rejects(VMRun.discoverVMRun({
+        env: { VMRUN_PATH: '/custom/vmrun', PATH: '/usr/bin' },
+        platform: 'darwin',
+        probe: probe,
+        refresh: true
+    }), function (err) {
+        assert.ok(err instanceof VMRun.VMRunNotFoundError, err.name);
+        assert.deepStrictEqual(err.tried, ['/custom/vmrun']);
+        assert.deepStrictEqual(probe.checked, ['/custom/vmrun']);
+        return true;
+    })
+        .then(function () {
+            probe = fakeProbe([]);
+            return assert.rejects(VMRun.discoverVMRun({ env: {}, platform: 'darwin', probe: probe, refresh: true }), {
+                tried: [
+                    '/Applications/VMware Fusion.app/Contents/Library/vmrun',
+                    '/Applications/VMware Fusion Tech Preview.app/Contents/Library/vmrun',
+                    '/usr/local/bin/vmrun'
+                ]
+            });
+        });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+test('commands emit start and success or error events on the instance and its parents', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on', credentials: { username: 'user', password: 'secret' } });
+
+    var parent = VMRun.withOptions({ executor: fake.executor });
+    var child = parent.withModifiedOptions({ guestUsername: 'user', guestPassword: 'secret' });
+    var events = [];
+
+    [parent, child].forEach(function (vmrun, i) {
+        ['command:start', 'command:success', 'command:error'].forEach(function (name) {
+            vmrun.on(name, function (e) {
+                events.push({ on: i ? 'child' : 'parent', name: name, event: e });
+            });
+        });
+    });
+
+    return child.fileExistsInGuest(VMX, '/data/file')
+        .then(function () {
+            return assert.rejects(child.deleteFileInGuest(VMX, '/missing'));
+        })
+        .then(function () {
+            assert.deepStrictEqual(events.map(function (x) {
+                return x.on + ' ' + x.name + ' ' + x.event.command;
+            }), [
+                'parent command:start fileExistsInGuest',
+                'child command:start fileExistsInGuest',
+                'parent command:success fileExistsInGuest',
+                'child command:success fileExistsInGuest',
+                'parent command:start deleteFileInGuest',
+                'child command:start deleteFileInGuest',
+                'parent command:error deleteFileInGuest',
+                'child command:error deleteFileInGuest'
+            ]);
+
+            var error = events[7].event;
+            assert.ok(error.error instanceof VMRun.VMRunError);
+            assert.strictEqual(typeof error.duration, 'number');
+            assert.deepStrictEqual(events[0].event.args, [VMX, '/data/file']);
+        });
+});
+
+test('hooks run around commands, and a failing before hook keeps the command from running', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX);
+
+    var parent = VMRun.withOptions({ executor: fake.executor });
+    var child = parent.withModifiedOptions({});
+    var order = [];
+
+    parent.beforeCommand(function (context) {
+        order.push('parent before ' + context.command);
+        if (context.command === 'start') {
+            context.args[1] = 'gui';
+        }
+    });
+    child.beforeCommand(function (context) {
+        order.push('child before ' + context.command);
+        if (context.command === 'stop') {
+            return Promise.reject(new Error('not now'));
+        }
+    });
+    child.afterCommand(function (context) {
+        order.push('child after ' + context.command + ' ' + (context.error ? 'failed' : 'done'));
+    });
+
+    return child.start(VMX)
+        .then(function () {
+            assert.deepStrictEqual(fake.calls[0].slice(-3), ['start', VMX, 'gui']);
+            return assert.rejects(child.poweroff(VMX), /not now/);
+        })
+        .then(function () {
+            assert.strictEqual(fake.calls.length, 1);
+            assert.strictEqual(fake.getVM(VMX).power, 'on');
+            assert.deepStrictEqual(order, [
+                'parent before start',
+                'child before start',
+                'child after start done',
+                'parent before stop',
+                'child before stop',
+                'child after stop failed'
+            ]);
+        });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+/**
+ * Runs scripts the way a shell would, as far as the tests need: writes the output files the script redirects to
+ * @param {VMRun.FakeVMRun} fake
+ * @param {function(String):{stdout: String, stderr: String, exitCode: Number}} run Receives the script
+ * @returns {[String]} The scripts run
+ */
+var runScripts = function (fake, run) {
+    var scripts = [];
+
+    fake.onRunProgram(function (program) {
+        var path = program.args[program.args.length - 1].replace(/^['"]|['"]$/g, '');
+        var script = program.vm.files[path].toString();
+        var redirects = script.match(/>\s*['"]([^'"]+)['"]\s*2>\s*['"]([^'"]+)['"]/);
+        var result = run(script);
+
+        scripts.push(script);
+        program.vm.files[redirects[1]] = Buffer.from(result.stdout);
+        program.vm.files[redirects[2]] = Buffer.from(result.stderr);
+        return { exitCode: result.exitCode };
+    });
+
+    return scripts;
+};
+
+var tempFiles = function (fake) {
+    return Object.keys(fake.getVM(VMX).files).filter(function (path) {
+        return /^\/tmp\/vmware/.test(path);
+    });
+};
+
+test('execInGuest captures the exit code and the output, and deletes its temporary files', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on' });
+    var scripts = runScripts(fake, function () {
+        return { exitCode: 3, stdout: 'out\n', stderr: 'err\n' };
+    });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.execInGuest(VMX, 'make test', { cwd: '/home/user/it\'s', env: { GREETING: 'a \'quoted\' $value' } })
+        .then(function (result) {
+            assert.deepStrictEqual(result, { exitCode: 3, stdout: 'out\n', stderr: 'err\n' });
+            assert.deepStrictEqual(tempFiles(fake), []);
+            assert.deepStrictEqual(scripts[0].split('\n').slice(1), [
+                'cd \'/home/user/it\'\\\'\'s\' || exit $?',
+                'export GREETING=\'a \'\\\'\'quoted\'\\\'\' $value\'',
+                'make test',
+                ''
+            ]);
+        });
+});
+
+test('execInGuest quotes cwd and env for cmd', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on' });
+    var scripts = runScripts(fake, function () {
+        return { exitCode: 0, stdout: 'ok\r\n', stderr: '' };
+    });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.execInGuest(VMX, 'dir', { guestOS: 'windows', cwd: 'C:\\Program Files', env: { RATE: '50% & more' } })
+        .then(function (result) {
+            assert.deepStrictEqual(result, { exitCode: 0, stdout: 'ok\r\n', stderr: '' });
+            assert.deepStrictEqual(scripts[0].split('\r\n').slice(4), [
+                'cd /d "C:\\Program Files" || exit /b 1',
+                'set "RATE=50%% & more"',
+                'dir',
+                ''
+            ]);
+            assert.deepStrictEqual(tempFiles(fake), []);
+        });
+});
+
+test('execInGuest rejects cmd values with quotes, and still deletes its temporary files', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on' });
+    var scripts = runScripts(fake, function () {
+        return { exitCode: 0, stdout: '', stderr: '' };
+    });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return assert.rejects(vmrun.execInGuest(VMX, 'dir', { guestOS: 'windows', env: { NAME: 'say "hi"' } }),
+        { name: 'TypeError', message: 'The value of NAME cannot contain quotes or line breaks in a cmd script' })
+        .then(function () {
+            return assert.rejects(vmrun.execInGuest(VMX, 'dir', { guestOS: 'windows', cwd: 'C:\\a"b' }), TypeError);
+        })
+        .then(function () {
+            assert.deepStrictEqual(scripts, []);
+            assert.deepStrictEqual(tempFiles(fake), []);
+        });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+var setup = function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on', directories: ['/tmp'], files: { '/etc/hostname': 'build\n' } });
+    return { fake: fake, vmrun: VMRun.withOptions({ executor: fake.executor }) };
+};
+
+test('readFileInGuest and writeFileInGuest round-trip binary data', function () {
+    var t = setup();
+    var data = Buffer.from([0, 1, 2, 0xfe, 0xff, 0x0d, 0x0a, 0x80]);
+
+    return t.vmrun.writeFileInGuest(VMX, '/tmp/data.bin', data)
+        .then(function () {
+            assert.ok(t.fake.getVM(VMX).files['/tmp/data.bin'].equals(data));
+            return t.vmrun.readFileInGuest(VMX, '/tmp/data.bin');
+        })
+        .then(function (read) {
+            assert.ok(Buffer.isBuffer(read));
+            assert.ok(read.equals(data));
+            return t.vmrun.guestFs(VMX).readFile('/etc/hostname', 'utf8');
+        })
+        .then(function (text) {
+            assert.strictEqual(text, 'build\n');
+        });
+});
+
+test('statInGuest and access reject with a GuestFileNotFoundError for a missing path', function () {
+    var t = setup();
+    var guestFs = t.vmrun.guestFs(VMX);
+
+    return t.vmrun.statInGuest(VMX, '/etc')
+        .then(function (stats) {
+            assert.strictEqual(stats.isDirectory(), true);
+            assert.strictEqual(stats.isFile(), false);
+            return guestFs.stat('/etc/hostname');
+        })
+        .then(function (stats) {
+            assert.strictEqual(stats.isFile(), true);
+            return assert.rejects(guestFs.stat('/etc/missing'), VMRun.GuestFileNotFoundError);
+        })
+        .then(function () {
+            return assert.rejects(guestFs.access('/etc/missing'), VMRun.GuestFileNotFoundError);
+        })
+        .then(function () {
+            return guestFs.access('/etc/hostname');
+        });
+});
+
+test('mkdirpInGuest resolves to the first directory created, then to undefined', function () {
+    var t = setup();
+
+    return t.vmrun.mkdirpInGuest(VMX, '/opt/app/logs')
+        .then(function (first) {
+            assert.strictEqual(first, '/opt');
+            assert.ok(t.fake.getVM(VMX).directories['/opt/app/logs']);
+            return t.vmrun.mkdirpInGuest(VMX, '/opt/app/logs');
+        })
+        .then(function (first) {
+            assert.strictEqual(first, undefined);
+            return t.vmrun.guestFs(VMX).mkdir('/opt/app/cache', { recursive: true });
+        })
+        .then(function (first) {
+            assert.strictEqual(first, '/opt/app/cache');
+        });
+});
+
+test('rmrfInGuest resolves to whether it deleted something', function () {
+    var t = setup();
+
+    return t.vmrun.mkdirpInGuest(VMX, '/opt/app/logs')
+        .then(function () {
+            return t.vmrun.rmrfInGuest(VMX, '/opt/app');
+        })
+        .then(function (deleted) {
+            assert.strictEqual(deleted, true);
+            assert.strictEqual(t.fake.getVM(VMX).directories['/opt/app'], undefined);
+            return t.vmrun.rmrfInGuest(VMX, '/opt/app');
+        })
+        .then(function (deleted) {
+            assert.strictEqual(deleted, false);
+        });
+});
+
+test('guestFs rm with force accepts a missing path', function () {
+    var t = setup();
+    var guestFs = t.vmrun.guestFs(VMX);
+
+    return guestFs.rm('/tmp/missing', { force: true })
+        .then(function () {
+            return assert.rejects(guestFs.rm('/tmp/missing'), VMRun.GuestFileNotFoundError);
+        })
+        .then(function () {
+            return assert.rejects(guestFs.rm('/etc'), /needs the recursive option/);
+        })
+        .then(function () {
+            return guestFs.rm('/etc/hostname');
+        })
+        .then(function () {
+            assert.strictEqual(t.fake.getVM(VMX).files['/etc/hostname'], undefined);
+        });
+});
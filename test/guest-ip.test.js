@@ -0,0 +1,45 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+test('getGuestIPAddress applies a retry policy from the call options', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on', ipAddress: null });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.getGuestIPAddress('/vms/a/a.vmx', { retry: { maxAttempts: 2, backoff: 0, retryOn: [VMRun.VMRunError] } })
+        .then(function () {
+            assert.fail('resolved');
+        }, function (err) {
+            assert.ok(err instanceof VMRun.VMRunError);
+            assert.strictEqual(err.attempts, 2);
+            assert.strictEqual(fake.calls.length, 2);
+        });
+});
+
+test('getGuestIPAddress polls until the guest has an address', function () {
+    var fake = new VMRun.FakeVMRun();
+    var vm = fake.addVM('/vms/a/a.vmx', { power: 'on', ipAddress: null });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    setTimeout(function () {
+        vm.ipAddress = '10.0.0.5';
+    }, 50);
+
+    return vmrun.getGuestIPAddress('/vms/a/a.vmx', { poll: true, interval: 10, backoff: 1, timeout: 5000 })
+        .then(function (ip) {
+            assert.strictEqual(ip, '10.0.0.5');
+        });
+});
+
+test('getGuestIPAddress rejects with a VMRunTimeoutError when polling runs out of time', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on', ipAddress: null });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return assert.rejects(
+        vmrun.getGuestIPAddress('/vms/a/a.vmx', { poll: true, interval: 10, timeout: 100 }),
+        VMRun.VMRunTimeoutError);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var lab = require('../lib/lab');
+var AUTH_FLAGS = require('../lib/redact').AUTH_FLAGS;
+var VMRun = require('..');
+
+test('parseYaml reads comments, quoted strings and flow lists', function () {
+    var spec = lab.parseYaml([
+        '# A lab',
+        'name: "ad # lab"    # the name',
+        'parallelism: 2',
+        'vms:',
+        '  dc:',
+        '    vmx: \'/vms/it\'\'s/dc.vmx\'',
+        '    waitForGuest: false',
+        '  client:',
+        '    vmx: /vms/client/client.vmx',
+        '    dependsOn: [dc, "other"]',
+        '    sharedFolders:',
+        '      - name: build',
+        '        hostPath: /home/user/build',
+        '        writable: no',
+        '      -',
+        '        name: empty',
+        '    tags: []',
+        '    labels: [a, "b, c", \'it\'\'s, d\', "say \\"e, f\\""]',
+        ''
+    ].join('\n'));
+
+    assert.deepStrictEqual(spec, {
+        name: 'ad # lab',
+        parallelism: 2,
+        vms: {
+            dc: { vmx: '/vms/it\'s/dc.vmx', waitForGuest: false },
+            client: {
+                vmx: '/vms/client/client.vmx',
+                dependsOn: ['dc', 'other'],
+                sharedFolders: [
+                    { name: 'build', hostPath: '/home/user/build', writable: false },
+                    { name: 'empty' }
+                ],
+                tags: [],
+                labels: ['a', 'b, c', 'it\'s, d', 'say "e, f"']
+            }
+        }
+    });
+});
+
+test('parseSpec takes JSON too, and parseYaml rejects tabs', function () {
+    assert.deepStrictEqual(lab.parseSpec('{"vms": {}}'), { vms: {} });
+    assert.throws(function () {
+        lab.parseYaml('vms:\n\tdc: x');
+    }, SyntaxError);
+});
+
+test('a lab rejects dependency cycles and unknown dependencies', function () {
+    var vmrun = VMRun.withOptions({});
+
+    assert.throws(function () {
+        vmrun.lab({
+            vms: {
+                a: { vmx: '/vms/a/a.vmx', dependsOn: ['c'] },
+                b: { vmx: '/vms/b/b.vmx', dependsOn: ['a'] },
+                c: { vmx: '/vms/c/c.vmx', dependsOn: ['b'] }
+            }
+        });
+    }, { name: 'TypeError', message: 'Lab VMs depend on each other: a -> c -> b -> a' });
+
+    assert.throws(function () {
+        vmrun.lab({ vms: { a: { vmx: '/vms/a/a.vmx', dependsOn: ['a'] } } });
+    }, /depend on each other: a -> a/);
+
+    assert.throws(function () {
+        vmrun.lab({ vms: { a: { vmx: '/vms/a/a.vmx', dependsOn: ['b'] } } });
+    }, /unknown VM "b"/);
+});
+
+test('up starts every VM after its dependencies, down stops them in reverse', function () {
+    var fake = new VMRun.FakeVMRun();
+    ['dc', 'app', 'web'].forEach(function (name) {
+        fake.addVM('/vms/' + name + '/' + name + '.vmx', { snapshots: ['clean'] });
+    });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    // The commands run, without the authentication flags (i.e. -T ws)
+    var commands = function () {
+        return fake.calls.map(function (args) {
+            var i = 0;
+            while (AUTH_FLAGS.indexOf(args[i]) !== -1) i += 2;
+            return args.slice(i);
+        });
+    };
+
+    var powerCalls = function () {
+        return commands()
+            .filter(function (args) {
+                return args[0] === 'start' || args[0] === 'stop';
+            })
+            .map(function (args) {
+                return args[0] + ' ' + args[1].split('/')[2];
+            });
+    };
+
+    var ad = vmrun.lab(lab.parseYaml([
+        'vms:',
+        '  web:',
+        '    vmx: /vms/web/web.vmx',
+        '    dependsOn: [app]',
+        '  app:',
+        '    vmx: /vms/app/app.vmx',
+        '    snapshot: clean',
+        '    dependsOn: [dc]',
+        '  dc:',
+        '    vmx: /vms/dc/dc.vmx'
+    ].join('\n')));
+
+    return ad.up()
+        .then(function (result) {
+            assert.deepStrictEqual(Object.keys(result).sort(), ['app', 'dc', 'web']);
+            assert.deepStrictEqual(powerCalls(), ['start dc', 'start app', 'start web']);
+            assert.deepStrictEqual(commands().filter(function (args) {
+                return args[0] === 'revertToSnapshot';
+            }), [['revertToSnapshot', '/vms/app/app.vmx', 'clean']]);
+
+            fake.calls.length = 0;
+            return ad.down();
+        })
+        .then(function (poweredOff) {
+            assert.deepStrictEqual(poweredOff, { web: false, app: false, dc: false });
+            assert.deepStrictEqual(powerCalls(), ['stop web', 'stop app', 'stop dc']);
+        });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+/**
+ * @param {String} stdout
+ * @returns {VMRun} Which prints the stdout for every command
+ */
+var printing = function (stdout) {
+    return VMRun.withOptions({
+        executor: function () {
+            return Promise.resolve({ stdout: stdout, stderr: '' });
+        }
+    });
+};
+
+test('listNetworkAdapters parses the output of vmrun', function () {
+    var stdout = 'Total network adapters: 3\r\n' +
+        'INDEX  TYPE         VMNET\r\n' +
+        '0      nat          vmnet8\r\n' +
+        '1      hostOnly     vmnet1\r\n' +
+        '3      custom       vmnet2\r\n';
+
+    return printing(stdout).listNetworkAdapters(VMX)
+        .then(function (adapters) {
+            assert.deepStrictEqual(adapters, [
+                { index: 0, type: 'nat', vmnet: 'vmnet8' },
+                { index: 1, type: 'hostonly', vmnet: 'vmnet1' },
+                { index: 3, type: 'custom', vmnet: 'vmnet2' }
+            ]);
+        });
+});
+
+test('listHostNetworks parses the output of vmrun', function () {
+    var stdout = 'Total host networks: 3\n' +
+        'INDEX  NAME         TYPE         DHCP         SUBNET           MASK\n' +
+        '0      vmnet0       bridged      false        empty            empty\n' +
+        '1      vmnet1       hostOnly     true         192.168.56.0     255.255.255.0\n' +
+        '8      vmnet8       nat          true         192.168.174.0    255.255.255.0\n';
+
+    return printing(stdout).listHostNetworks()
+        .then(function (networks) {
+            assert.deepStrictEqual(networks, [
+                { index: 0, name: 'vmnet0', type: 'bridged', dhcp: false, subnet: null, mask: null },
+                { index: 1, name: 'vmnet1', type: 'hostOnly', dhcp: true, subnet: '192.168.56.0', mask: '255.255.255.0' },
+                { index: 8, name: 'vmnet8', type: 'nat', dhcp: true, subnet: '192.168.174.0', mask: '255.255.255.0' }
+            ]);
+        });
+});
+
+test('listPortForwardings parses the output of vmrun', function () {
+    var stdout = 'Total port forwardings: 2\n' +
+        '[0]:  protocol: tcp,  host port: 8080,  guest ip: 192.168.174.128,  guest port: 80,  description: web\n' +
+        '[1]:  protocol: udp,  host port: 5353,  guest ip: 192.168.174.129,  guest port: 53,  description: \n';
+
+    return printing(stdout).listPortForwardings('vmnet8')
+        .then(function (forwardings) {
+            assert.deepStrictEqual(forwardings, [
+                { protocol: 'tcp', hostPort: 8080, guestIp: '192.168.174.128', guestPort: 80, description: 'web' },
+                { protocol: 'udp', hostPort: 5353, guestIp: '192.168.174.129', guestPort: 53, description: '' }
+            ]);
+        });
+});
+
+test('FakeVMRun lists its host networks as vmrun does', function () {
+    var fake = new VMRun.FakeVMRun({
+        hostNetworks: [{ name: 'vmnet8', type: 'nat', dhcp: true, subnet: '10.0.8.0', mask: '255.255.255.0' }]
+    });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.listHostNetworks()
+        .then(function (networks) {
+            assert.deepStrictEqual(networks, [
+                { index: 8, name: 'vmnet8', type: 'nat', dhcp: true, subnet: '10.0.8.0', mask: '255.255.255.0' }
+            ]);
+        });
+});
+
+test('network adapters are added, configured and deleted', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX);
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.addNetworkAdapter(VMX, 'host-only')
+        .then(function () {
+            return vmrun.addNetworkAdapter(VMX, { type: 'custom', vmnet: 'vmnet2' });
+        })
+        .then(function () {
+            return vmrun.deleteNetworkAdapter(VMX, 1);
+        })
+        .then(function () {
+            return vmrun.configureNetworkAdapter(VMX, 0, VMRun.NetworkAdapterType.BRIDGED);
+        })
+        .then(function () {
+            return vmrun.addNetworkAdapter(VMX, 'nat');
+        })
+        .then(function () {
+            return vmrun.listNetworkAdapters(VMX);
+        })
+        .then(function (adapters) {
+            assert.deepStrictEqual(adapters, [
+                { index: 0, type: 'bridged', vmnet: 'vmnet0' },
+                { index: 1, type: 'nat', vmnet: 'vmnet8' },
+                { index: 2, type: 'custom', vmnet: 'vmnet2' }
+            ]);
+            return assert.rejects(vmrun.deleteNetworkAdapter(VMX, 5), VMRun.VMRunError);
+        });
+});
+
+test('port forwardings are set, replaced and deleted', function () {
+    var fake = new VMRun.FakeVMRun();
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.setPortForwarding('vmnet8', { protocol: 'tcp', hostPort: 8080, guestIp: '192.168.174.10', guestPort: 80 })
+        .then(function () {
+            return vmrun.setPortForwarding('vmnet8', {
+                protocol: 'tcp', hostPort: 8080, guestIp: '192.168.174.11', guestPort: 8000, description: 'web'
+            });
+        })
+        .then(function () {
+            return vmrun.setPortForwarding('vmnet8', { protocol: 'udp', hostPort: 53, guestIp: '192.168.174.11', guestPort: 53 });
+        })
+        .then(function () {
+            return vmrun.listPortForwardings('vmnet8');
+        })
+        .then(function (forwardings) {
+            assert.deepStrictEqual(forwardings, [
+                { protocol: 'tcp', hostPort: 8080, guestIp: '192.168.174.11', guestPort: 8000, description: 'web' },
+                { protocol: 'udp', hostPort: 53, guestIp: '192.168.174.11', guestPort: 53, description: '' }
+            ]);
+            return vmrun.deletePortForwarding('vmnet8', forwardings[0]);
+        })
+        .then(function () {
+            return vmrun.listPortForwardings('vmnet8');
+        })
+        .then(function (forwardings) {
+            assert.deepStrictEqual(forwardings.map(function (x) {
+                return x.protocol + '/' + x.hostPort;
+            }), ['udp/53']);
+            return assert.rejects(
+                vmrun.setPortForwarding('vmnet1', { protocol: 'tcp', hostPort: 22, guestIp: '192.168.56.10', guestPort: 22 }),
+                VMRun.VMRunError);
+        });
+});
+
+test('a lab forwards ports to its VMs on up and removes the forwardings on down', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/dc/dc.vmx', { ipAddress: '192.168.174.20' });
+    fake.addVM('/vms/web/web.vmx', { ipAddress: '192.168.174.21' });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    var lab = vmrun.lab({
+        vms: {
+            dc: {
+                vmx: '/vms/dc/dc.vmx',
+                portForwardings: [{ network: 'vmnet8', protocol: 'tcp', hostPort: 3389, guestPort: 3389 }]
+            },
+            web: {
+                vmx: '/vms/web/web.vmx',
+                dependsOn: ['dc'],
+                portForwardings: [
+                    { network: 'vmnet8', protocol: 'tcp', hostPort: 8080, guestIp: '192.168.174.99', guestPort: 80 }
+                ]
+            }
+        }
+    });
+
+    return lab.up()
+        .then(function () {
+            return vmrun.listPortForwardings('vmnet8');
+        })
+        .then(function (forwardings) {
+            assert.deepStrictEqual(forwardings.map(function (x) {
+                return x.hostPort + ' ' + x.guestIp + ':' + x.guestPort;
+            }), ['3389 192.168.174.20:3389', '8080 192.168.174.99:80']);
+            return lab.down();
+        })
+        .then(function () {
+            return vmrun.listPortForwardings('vmnet8');
+        })
+        .then(function (forwardings) {
+            assert.deepStrictEqual(forwardings, []);
+            assert.strictEqual(fake.getVM('/vms/dc/dc.vmx').power, 'off');
+            assert.strictEqual(fake.getVM('/vms/web/web.vmx').power, 'off');
+        });
+});
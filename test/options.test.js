@@ -0,0 +1,76 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+test('unknown options are rejected, with a hint for a wrong case', function () {
+    assert.throws(function () {
+        VMRun.withOptions({ guestPasword: 'x' });
+    }, { name: 'TypeError', message: 'Unknown VMRun option "guestPasword"' });
+
+    assert.throws(function () {
+        VMRun.withOptions({ hostport: 902 });
+    }, { name: 'TypeError', message: 'Unknown VMRun option "hostport", did you mean "hostPort"?' });
+
+    assert.throws(function () {
+        VMRun.withOptions('vmrun');
+    }, { name: 'TypeError', message: 'VMRun options must be an object' });
+});
+
+test('options of the wrong type are rejected, unset ones are not', function () {
+    [
+        { hostPort: 70000 },
+        { hostPort: '90a' },
+        { timeout: -1 },
+        { debug: 'yes' },
+        { guestUsername: 7 },
+        { executor: 'fake' },
+        { logger: console.log },
+        { retry: { maxAttempts: 0 } }
+    ].forEach(function (options) {
+        assert.throws(function () {
+            VMRun.withOptions(options);
+        }, function (err) {
+            return err instanceof TypeError && err.message.indexOf('"' + Object.keys(options)[0] + '" must be') !== -1;
+        }, JSON.stringify(options));
+    });
+
+    VMRun.withOptions({ hostPort: '902', timeout: undefined, guestUsername: null, retry: true });
+});
+
+test('setOptions replaces the options, and a failed call leaves them as they were', function () {
+    var vmrun = VMRun.withOptions({ guestUsername: 'user', timeout: 1000 });
+
+    vmrun.setOptions({ guestPassword: 'secret' });
+    assert.strictEqual(vmrun._options.guestUsername, null);
+    assert.strictEqual(vmrun._options.guestPassword, 'secret');
+
+    assert.throws(function () {
+        vmrun.setOptions({ guestPassword: 'other', timeout: 'soon' });
+    }, TypeError);
+    assert.strictEqual(vmrun._options.guestPassword, 'secret');
+    assert.strictEqual(vmrun._options.timeout, 0);
+});
+
+test('withModifiedOptions inherits the options without changing the parent', function () {
+    var given = { guestUsername: 'user', guestPassword: 'secret', timeout: 1000 };
+    var parent = VMRun.withOptions(given);
+    var child = parent.withModifiedOptions({ guestPassword: 'other', hostPort: 902 });
+
+    assert.strictEqual(child._options.guestUsername, 'user');
+    assert.strictEqual(child._options.guestPassword, 'other');
+    assert.strictEqual(child._options.hostPort, 902);
+    assert.strictEqual(child._options.timeout, 1000);
+
+    assert.strictEqual(parent._options.guestPassword, 'secret');
+    assert.strictEqual(parent._options.hostPort, null);
+
+    given.guestUsername = 'changed';
+    assert.strictEqual(parent._options.guestUsername, 'user');
+    assert.ok(Object.isFrozen(parent._options));
+    assert.ok(Object.isFrozen(child._options));
+
+    var unrelated = parent.withOptions({ timeout: 5 });
+    assert.strictEqual(unrelated._options.guestUsername, null);
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var setup = function () {
+    var fake = new VMRun.FakeVMRun();
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+    return { fake: fake, vmrun: vmrun };
+};
+
+test('list parses the running VMs', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    t.fake.addVM('/vms/b/b.vmx');
+    t.fake.addVM('/vms/with space/c.vmx', { power: 'on' });
+
+    return t.vmrun.list()
+        .then(function (list) {
+            assert.deepStrictEqual(list, ['/vms/a/a.vmx', '/vms/with space/c.vmx']);
+        });
+});
+
+test('list parses an empty list', function () {
+    return setup().vmrun.list()
+        .then(function (list) {
+            assert.deepStrictEqual(list, []);
+        });
+});
+
+test('listRegisteredVM parses the registered VMs', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx', { registered: true });
+    t.fake.addVM('/vms/b/b.vmx');
+
+    return t.vmrun.listRegisteredVM()
+        .then(function (list) {
+            assert.deepStrictEqual(list, ['/vms/a/a.vmx']);
+        });
+});
+
+test('listSnapshots parses a flat list and a tree', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx', { snapshots: ['base', 'configured'] });
+
+    return t.vmrun.snapshot('/vms/a/a.vmx', 'with tools')
+        .then(function () {
+            return t.vmrun.listSnapshots('/vms/a/a.vmx');
+        })
+        .then(function (list) {
+            assert.deepStrictEqual(list, ['base', 'configured', 'with tools']);
+            return t.vmrun.listSnapshots('/vms/a/a.vmx', { showTree: true });
+        })
+        .then(function (tree) {
+            assert.deepStrictEqual(tree, [{
+                name: 'base',
+                children: [{ name: 'configured', children: [{ name: 'with tools', children: [] }] }]
+            }]);
+        });
+});
+
+test('listSnapshots parses a VM without snapshots', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx');
+
+    return t.vmrun.listSnapshots('/vms/a/a.vmx')
+        .then(function (list) {
+            assert.deepStrictEqual(list, []);
+        });
+});
+
+test('listProcessesInGuest parses pids, owners and command lines', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx', {
+        power: 'on',
+        processes: [
+            { pid: 1, owner: 'root', cmd: '/sbin/init splash' },
+            { pid: 4242, owner: 'NT AUTHORITY\\SYSTEM', cmd: '"C:\\Program Files\\App\\app.exe" --flag=a, b' }
+        ]
+    });
+
+    return t.vmrun.listProcessesInGuest('/vms/a/a.vmx')
+        .then(function (processes) {
+            assert.deepStrictEqual(processes, [
+                { pid: 1, owner: 'root', cmd: '/sbin/init splash' },
+                { pid: 4242, owner: 'NT AUTHORITY\\SYSTEM', cmd: '"C:\\Program Files\\App\\app.exe" --flag=a, b' }
+            ]);
+        });
+});
+
+test('listDirectoryInGuest parses the entry names', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx', {
+        power: 'on',
+        files: { '/data/a.txt': 'a', '/data/with space.txt': 'b', '/data/sub/c.txt': 'c' }
+    });
+
+    return t.vmrun.listDirectoryInGuest('/vms/a/a.vmx', '/data/')
+        .then(function (names) {
+            assert.deepStrictEqual(names.sort(), ['a.txt', 'sub', 'with space.txt']);
+        });
+});
+
+test('guest commands reject with typed errors', function () {
+    var t = setup();
+    t.fake.addVM('/vms/a/a.vmx', { power: 'on', toolsState: 'installed' });
+    t.fake.addVM('/vms/b/b.vmx');
+
+    return assert.rejects(t.vmrun.listProcessesInGuest('/vms/a/a.vmx'), VMRun.ToolsNotRunningError)
+        .then(function () {
+            return assert.rejects(t.vmrun.listProcessesInGuest('/vms/b/b.vmx'), VMRun.VMNotPoweredOnError);
+        })
+        .then(function () {
+            return assert.rejects(t.vmrun.listDirectoryInGuest('/vms/missing.vmx', '/'), VMRun.VMRunError);
+        });
+});
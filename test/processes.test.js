@@ -0,0 +1,87 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+test('waitForProcessExit goes on after transient errors', function () {
+    var fake = new VMRun.FakeVMRun();
+    var vm = fake.addVM(VMX, { power: 'on', processes: [{ pid: 50, cmd: '/usr/bin/sleep 1' }] });
+    var runs = 0;
+
+    var vmrun = VMRun.withOptions({
+        executor: function (file, args, options) {
+            runs++;
+            if (runs === 2) {
+                // The tools restart while the process exits
+                vm.processes = [];
+                var err = new Error('Command failed');
+                err.code = 255;
+                err.stdout = 'Error: The VMware Tools are not running in the virtual machine\n';
+                return Promise.reject(err);
+            }
+            return fake.executor(file, args, options);
+        }
+    });
+
+    return vmrun.waitForProcessExit(VMX, 50, { interval: 5, timeout: 5000 })
+        .then(function () {
+            assert.strictEqual(runs, 3);
+        });
+});
+
+test('startProgramInGuest resolves to the pid of the new process', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on', processes: [{ cmd: '/usr/bin/tail -f /var/log/old' }] });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.startProgramInGuest(VMX, '/usr/bin/tail', ['-f', '/var/log/new'], { interval: 5 })
+        .then(function (pid) {
+            assert.strictEqual(pid, fake.getVM(VMX).processes[1].pid);
+            assert.notStrictEqual(pid, fake.getVM(VMX).processes[0].pid);
+        });
+});
+
+test('startProgramInGuest does not cap each vmrun call at pidTimeout', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on' });
+    var vmrun = VMRun.withOptions({
+        executor: function (file, args, options) {
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 80);
+            }).then(function () {
+                return fake.executor(file, args, options);
+            });
+        }
+    });
+
+    return vmrun.startProgramInGuest(VMX, '/bin/sleep', ['60'], { interval: 5, pidTimeout: 50, timeout: 60000 })
+        .then(function (pid) {
+            assert.strictEqual(pid, fake.getVM(VMX).processes[0].pid);
+        });
+});
+
+test('startProgramInGuest rejects after pidTimeout when the process does not show up', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on' });
+    var vmrun = VMRun.withOptions({
+        executor: function (file, args, options) {
+            return fake.executor(file, args, options)
+                .then(function (std) {
+                    // The program exits right after it starts
+                    fake.getVM(VMX).processes = [];
+                    return std;
+                });
+        }
+    });
+    var started = Date.now();
+
+    return assert.rejects(
+        vmrun.startProgramInGuest(VMX, '/bin/true', [], { interval: 5, pidTimeout: 100, timeout: 60000 }),
+        VMRun.VMRunTimeoutError)
+        .then(function () {
+            assert.ok(Date.now() - started < 5000);
+        });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var VMRun = require('..');
+
+var TEMPLATE = '/vms/template/template.vmx';
+
+/**
+ * @param {VMRun.FakeVMRun} fake
+ * @returns {VMRunExecutor} Which also writes the vmx file of a clone, as vmrun does
+ */
+var writingClones = function (fake) {
+    return function (file, args, options) {
+        return fake.executor(file, args, options)
+            .then(function (std) {
+                var index = args.indexOf('clone');
+                if (index !== -1) {
+                    fs.writeFileSync(args[index + 2], 'displayName = "template"\nmemsize = "1024"\n');
+                }
+                return std;
+            });
+    };
+};
+
+test('provision clones a template, edits the new vmx file and starts the VM', function () {
+    var dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+    var target = Path.join(dir, 'build.vmx');
+
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(TEMPLATE, { snapshots: ['clean'] });
+    var vmrun = VMRun.withOptions({ executor: writingClones(fake) });
+
+    return vmrun.provision({
+        template: TEMPLATE,
+        target: target,
+        snapshot: 'clean',
+        displayName: 'build',
+        memory: 2048,
+        guestVariables: { role: 'builder' }
+    })
+        .then(function (vm) {
+            assert.strictEqual(vm.vmxFile, target);
+            assert.strictEqual(fake.getVM(target).power, 'on');
+            assert.strictEqual(fake.getVM(target).variables.guestVar.role, 'builder');
+            assert.strictEqual(fs.readFileSync(target, 'utf8'), 'displayName = "build"\nmemsize = "2048"\n');
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+});
+
+test('provision deletes the clone when a later step fails', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(TEMPLATE);
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+    vmrun.beforeCommand(function (context) {
+        if (context.command === 'writeVariable') {
+            throw new Error('no variables today');
+        }
+    });
+
+    return assert.rejects(vmrun.provision({
+        template: TEMPLATE,
+        target: '/vms/build/build.vmx',
+        register: true,
+        guestVariables: { role: 'builder' }
+    }), /no variables today/)
+        .then(function () {
+            assert.strictEqual(fake.getVM('/vms/build/build.vmx'), undefined);
+            assert.ok(fake.getVM(TEMPLATE));
+        });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var VMRun = require('..');
+
+var record = function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on', processes: [{ pid: 7, owner: 'root', cmd: '/sbin/init' }] });
+
+    var recorder = VMRun.recordingExecutor({ executor: fake.executor });
+    var vmrun = VMRun.withOptions({ executor: recorder, guestUsername: 'user', guestPassword: 'hunter22' });
+
+    return vmrun.list()
+        .then(function () {
+            return vmrun.listProcessesInGuest('/vms/a/a.vmx');
+        })
+        .then(function () {
+            return assert.rejects(vmrun.listProcessesInGuest('/vms/missing.vmx'), VMRun.VMRunError);
+        })
+        .then(function () {
+            return recorder;
+        });
+};
+
+test('recordingExecutor records runs with the passwords masked', function () {
+    return record()
+        .then(function (recorder) {
+            assert.strictEqual(recorder.fixtures.length, 3);
+            assert.strictEqual(JSON.stringify(recorder.fixtures).indexOf('hunter22'), -1);
+            assert.strictEqual(recorder.fixtures[0].code, null);
+            assert.strictEqual(recorder.fixtures[2].code, 255);
+        });
+});
+
+test('replayExecutor plays back a saved session', function () {
+    var dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+    var file = Path.join(dir, 'session.json');
+
+    return record()
+        .then(function (recorder) {
+            return recorder.save(file);
+        })
+        .then(function () {
+            var replay = VMRun.replayExecutor(file);
+            var vmrun = VMRun.withOptions({ executor: replay, guestUsername: 'user', guestPassword: 'hunter22' });
+
+            return vmrun.list()
+                .then(function (list) {
+                    assert.deepStrictEqual(list, ['/vms/a/a.vmx']);
+                    return vmrun.listProcessesInGuest('/vms/a/a.vmx');
+                })
+                .then(function (processes) {
+                    assert.deepStrictEqual(processes, [{ pid: 7, owner: 'root', cmd: '/sbin/init' }]);
+                    return assert.rejects(vmrun.listProcessesInGuest('/vms/missing.vmx'), VMRun.VMRunError);
+                })
+                .then(function () {
+                    assert.strictEqual(replay.remaining.length, 0);
+
+                    // Every recording plays once
+                    return assert.rejects(vmrun.list(), /No recorded vmrun run/);
+                });
+        })
+        .then(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+});
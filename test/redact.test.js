@@ -0,0 +1,69 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var redact = require('../lib/redact');
+var VMRun = require('..');
+
+test('redactArgs masks the password flags before the command only', function () {
+    assert.deepStrictEqual(
+        redact.redactArgs(['-T', 'ws', '-p', 'hostpw', '-vp', 'vmpw', '-gu', 'user', '-gp', 'guestpw',
+            'runProgramInGuest', '/vms/a.vmx', '/bin/mkdir', '-p', '/opt/app']),
+        ['-T', 'ws', '-p', redact.MASK, '-vp', redact.MASK, '-gu', 'user', '-gp', redact.MASK,
+            'runProgramInGuest', '/vms/a.vmx', '/bin/mkdir', '-p', '/opt/app']);
+
+    assert.deepStrictEqual(redact.redactArgs(['/vms/a.vmx', '-gp', 'x']), ['/vms/a.vmx', '-gp', 'x']);
+});
+
+test('command lines keep program flags and mask the secrets anywhere', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    fake.onRunProgram(function () {
+        return { exitCode: 1 };
+    });
+
+    var logged = [];
+    var vmrun = VMRun.withOptions({
+        executor: fake.executor,
+        guestUsername: 'user',
+        guestPassword: 'guest-secret',
+        debug: true,
+        logger: {
+            debug: function (line) {
+                logged.push(line);
+            },
+            warn: function () {}
+        }
+    });
+
+    return vmrun.runProgramInGuest('/vms/a/a.vmx', '/bin/mkdir', ['-p', '/opt/app', '--token=guest-secret'])
+        .then(function () {
+            assert.fail('resolved');
+        }, function (err) {
+            assert.ok(err instanceof VMRun.GuestProgramError);
+            assert.match(err.cmd, /-gp \*+ runProgramInGuest/);
+            assert.match(err.cmd, /mkdir -p \/opt\/app --token=\*+/);
+            assert.strictEqual(err.message.indexOf('guest-secret'), -1);
+            assert.match(logged.join('\n'), /mkdir -p \/opt\/app/);
+            assert.strictEqual(logged.join('\n').indexOf('guest-secret'), -1);
+        });
+});
+
+test('short passwords are masked at their flags only, not in the rest of the text', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on', credentials: { username: 'user', password: 'a' } });
+    fake.onRunProgram(function () {
+        return { exitCode: 1 };
+    });
+
+    var vmrun = VMRun.withOptions({ executor: fake.executor, guestUsername: 'user', guestPassword: 'a' });
+
+    assert.deepStrictEqual(redact.getSecrets({ guestPassword: 'a', hostPassword: '1', vmPassword: 'abcd' }), ['abcd']);
+
+    return assert.rejects(vmrun.runProgramInGuest('/vms/a/a.vmx', '/bin/false', ['a']), function (err) {
+        assert.ok(err instanceof VMRun.GuestProgramError);
+        assert.match(err.cmd, /-gp \*+ runProgramInGuest \/vms\/a\/a\.vmx \/bin\/false a$/);
+        assert.deepStrictEqual(err.args.slice(-2), ['/bin/false', 'a']);
+        return true;
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var retry = require('../lib/retry');
+var VMRun = require('..');
+
+/**
+ * @param {VMRun.FakeVMRun} fake
+ * @param {Number} count How many runs fail because the VM is in use
+ * @returns {VMRunExecutor}
+ */
+var lockedFirst = function (fake, count) {
+    return function (file, args, options) {
+        if (count-- > 0) {
+            var err = new Error('Command failed');
+            err.code = 255;
+            err.stdout = 'Error: The file is in use by another program\n';
+            err.stderr = '';
+            return Promise.reject(err);
+        }
+        return fake.executor(file, args, options);
+    };
+};
+
+test('withRetry backs off by the factor up to maxDelay', function () {
+    var policy = { maxAttempts: 4, backoff: 4, factor: 2, maxDelay: 10, jitter: 0, retryOn: [VMRun.VMLockedError] };
+    var delays = [];
+
+    return retry.withRetry(policy, function (attempt) {
+        if (attempt < 4) throw new VMRun.VMLockedError('locked');
+        return attempt;
+    }, {
+        onRetry: function (err, attempt, ms) {
+            delays.push(ms);
+        }
+    }).then(function (attempt) {
+        assert.strictEqual(attempt, 4);
+        assert.deepStrictEqual(delays, [4, 8, 10]);
+    });
+});
+
+test('withRetry gives up on errors it does not retry, and after maxAttempts', function () {
+    var policy = { maxAttempts: 2, backoff: 0, factor: 2, maxDelay: 0, jitter: 0, retryOn: [VMRun.VMLockedError] };
+
+    return assert.rejects(retry.withRetry(policy, function () {
+        throw new VMRun.GuestFileNotFoundError('missing');
+    }), { attempts: 1 })
+        .then(function () {
+            return assert.rejects(retry.withRetry(policy, function () {
+                throw new VMRun.VMLockedError('locked');
+            }), { attempts: 2 });
+        });
+});
+
+test('the global policy skips non-idempotent commands, a policy for the call does not', function () {
+    assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, undefined, 'snapshot'), null);
+    assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, undefined, 'addNetworkAdapter'), null);
+    assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, false, 'start'), null);
+    assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, undefined, 'start').maxAttempts, 5);
+    assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, { backoff: 0 }, 'snapshot').maxAttempts, 5);
+});
+
+test('a VM in use is retried, except for non-idempotent commands', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx');
+
+    var executor = lockedFirst(fake, 2);
+    var runs = 0;
+    var vmrun = VMRun.withOptions({
+        retry: { backoff: 0 },
+        executor: function (file, args, options) {
+            runs++;
+            return executor(file, args, options);
+        }
+    });
+
+    return vmrun.start('/vms/a/a.vmx')
+        .then(function () {
+            assert.strictEqual(runs, 3);
+            executor = lockedFirst(fake, 1);
+            runs = 0;
+            return assert.rejects(vmrun.snapshot('/vms/a/a.vmx', 'clean'), { name: 'VMLockedError', attempts: 1 });
+        })
+        .then(function () {
+            assert.strictEqual(runs, 1);
+            executor = lockedFirst(fake, 1);
+            runs = 0;
+            return vmrun.snapshot('/vms/a/a.vmx', 'clean', { retry: { backoff: 0 } });
+        })
+        .then(function () {
+            assert.strictEqual(runs, 2);
+            assert.strictEqual(fake.getVM('/vms/a/a.vmx').snapshots.length, 1);
+        });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+/**
+ * base
+ *   x
+ *   other
+ *     x
+ */
+var setup = function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { snapshots: ['base'] });
+    var vmrun = VMRun.withOptions({ executor: fake.executor });
+
+    return vmrun.snapshot(VMX, 'x')
+        .then(function () {
+            return vmrun.revertToSnapshot(VMX, 'base');
+        })
+        .then(function () {
+            return vmrun.snapshot(VMX, 'other');
+        })
+        .then(function () {
+            return vmrun.snapshot(VMX, 'x');
+        })
+        .then(function () {
+            return vmrun;
+        });
+};
+
+test('findSnapshotPath finds a unique name or path', function () {
+    return setup()
+        .then(function (vmrun) {
+            return Promise.all([
+                vmrun.findSnapshotPath(VMX, 'other'),
+                vmrun.findSnapshotPath(VMX, 'other/x'),
+                vmrun.findSnapshotPath(VMX, 'base/x'),
+                vmrun.findSnapshotPath(VMX, 'missing')
+            ]);
+        })
+        .then(function (paths) {
+            assert.deepStrictEqual(paths, [['base', 'other'], ['base', 'other', 'x'], ['base', 'x'], null]);
+        });
+});
+
+test('findSnapshotPath rejects an ambiguous name with all the matches', function () {
+    return setup()
+        .then(function (vmrun) {
+            return vmrun.findSnapshotPath(VMX, 'x')
+                .then(function () {
+                    assert.fail('resolved');
+                }, function (err) {
+                    assert.ok(err instanceof VMRun.InvalidSnapshotError);
+                    assert.deepStrictEqual(err.matches, [['base', 'x'], ['base', 'other', 'x']]);
+                    return vmrun.snapshotExists(VMX, 'x');
+                });
+        })
+        .then(function (exists) {
+            assert.strictEqual(exists, true);
+        });
+});
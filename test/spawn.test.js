@@ -0,0 +1,116 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var spawn = require('../lib/spawn');
+var VMRun = require('..');
+
+// Behaves by the command after the authentication flags
+var STUB = [
+    'var args = process.argv.slice(2);',
+    'while (/^-/.test(args[0])) args.splice(0, 2);',
+    'switch (args[0]) {',
+    '    case "hang": setTimeout(function () {}, 60000); break;',
+    '    case "flood": process.stdout.write(Buffer.alloc(64 * 1024, 120)); break;',
+    '    case "fail": process.stdout.write("Error: The virtual machine is not powered on: " + args[1] + "\\n"); process.exitCode = 255; break;',
+    '    default: process.stdout.write(args.join(" ") + "\\n"); process.stderr.write("warning\\n");',
+    '}'
+].join('\n');
+
+var skip = process.platform === 'win32' ? 'the stub needs a shebang line' : false;
+
+/**
+ * @param {function(String):Promise} fn Receives the path of a stub vmrun
+ * @returns {Promise}
+ */
+var withStub = function (fn) {
+    var dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+    var stub = Path.join(dir, 'vmrun');
+    fs.writeFileSync(stub, '#!' + process.execPath + '\n' + STUB + '\n', { mode: 0o755 });
+
+    return Promise.resolve(stub).then(fn)
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+};
+
+test('spawnProcess collects stdout and stderr', { skip: skip }, function () {
+    return withStub(function (stub) {
+        return spawn.spawnProcess(stub, ['list', 'a b'])
+            .then(function (std) {
+                assert.deepStrictEqual(std, { stdout: 'list a b\n', stderr: 'warning\n' });
+            });
+    });
+});
+
+test('spawnProcess rejects with the exit code and the output', { skip: skip }, function () {
+    return withStub(function (stub) {
+        return assert.rejects(spawn.spawnProcess(stub, ['fail', '/a.vmx']), {
+            code: 255,
+            stdout: 'Error: The virtual machine is not powered on: /a.vmx\n'
+        });
+    });
+});
+
+test('spawnProcess kills the process when its output passes maxBuffer', { skip: skip }, function () {
+    return withStub(function (stub) {
+        return assert.rejects(spawn.spawnProcess(stub, ['flood'], { maxBuffer: 1024 }), {
+            name: 'RangeError',
+            code: 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'
+        });
+    });
+});
+
+test('vmrun failures reject with the error classes, with passwords masked', { skip: skip }, function () {
+    return withStub(function (stub) {
+        var vmrun = VMRun.withOptions({ vmrunPath: stub, guestUsername: 'user', guestPassword: 'hunter22' });
+
+        var masked = function (ErrorClass) {
+            return function (err) {
+                assert.ok(err instanceof ErrorClass, err.name + ': ' + err.message);
+                assert.doesNotMatch(err.cmd + ' ' + err.args.join(' ') + ' ' + err.message, /hunter22/);
+                assert.ok(err.args.indexOf('-gp') !== -1);
+                assert.match(err.cmd, /^\S*vmrun -T ws -gu user -gp \*+ /);
+                return true;
+            };
+        };
+
+        return assert.rejects(vmrun.vmrun('hang', ['/vms/hunter22.vmx'], null, { timeout: 200 }),
+            masked(VMRun.VMRunTimeoutError))
+            .then(function () {
+                var controller = new AbortController();
+                setTimeout(function () {
+                    controller.abort();
+                }, 100);
+                return assert.rejects(vmrun.vmrun('hang', ['/vms/a.vmx'], null, { signal: controller.signal }),
+                    masked(VMRun.VMRunAbortError));
+            })
+            .then(function () {
+                return assert.rejects(vmrun.vmrun('flood', ['/vms/a.vmx'], null, { maxBuffer: 1024 }), function (err) {
+                    assert.ok(masked(VMRun.VMRunError)(err));
+                    assert.match(err.message, /maxBuffer/);
+                    return true;
+                });
+            })
+            .then(function () {
+                return assert.rejects(vmrun.vmrun('fail', ['/vms/hunter22.vmx']), masked(VMRun.VMNotPoweredOnError));
+            });
+    });
+});
+
+test('a missing vmrun binary rejects with a VMRunNotFoundError', function () {
+    var vmrun = VMRun.withOptions({
+        vmrunPath: Path.join(os.tmpdir(), 'no-such-dir', 'vmrun'),
+        guestUsername: 'user',
+        guestPassword: 'hunter22'
+    });
+
+    return assert.rejects(vmrun.fileExistsInGuest('/vms/a.vmx', '/etc/hosts'), function (err) {
+        assert.ok(err instanceof VMRun.VMRunNotFoundError, err.name);
+        assert.doesNotMatch(err.cmd + ' ' + err.message, /hunter22/);
+        return true;
+    });
+});
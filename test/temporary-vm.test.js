@@ -0,0 +1,93 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var TEMPLATE = '/vms/template/template.vmx';
+var TARGET = '/vms/temp/temp.vmx';
+
+var setup = function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(TEMPLATE);
+    return { fake: fake, vmrun: VMRun.withOptions({ executor: fake.executor }) };
+};
+
+var createClone = function (vmrun) {
+    return vmrun.createTemporaryVM(TEMPLATE, { mode: 'clone', target: TARGET, start: false });
+};
+
+test('withTemporaryVM deletes the clone after fn resolves', function () {
+    var t = setup();
+    var listeners = process.listenerCount('SIGINT');
+
+    return t.vmrun.withTemporaryVM(TEMPLATE, function (vm) {
+        assert.strictEqual(vm.vmxFile, TARGET);
+        assert.ok(t.fake.getVM(TARGET));
+        assert.strictEqual(process.listenerCount('SIGINT'), listeners + 1);
+        return 'result';
+    }, { mode: 'clone', target: TARGET, start: false })
+        .then(function (result) {
+            assert.strictEqual(result, 'result');
+            assert.strictEqual(t.fake.getVM(TARGET), undefined);
+            assert.strictEqual(process.listenerCount('SIGINT'), listeners);
+        });
+});
+
+test('withTemporaryVM deletes the clone after fn throws, and rejects with its error', function () {
+    var t = setup();
+    var listeners = process.listenerCount('SIGINT');
+
+    return assert.rejects(t.vmrun.withTemporaryVM(TEMPLATE, function () {
+        throw new Error('build failed');
+    }, { mode: 'clone', target: TARGET, start: false }), /build failed/)
+        .then(function () {
+            assert.strictEqual(t.fake.getVM(TARGET), undefined);
+            assert.strictEqual(process.listenerCount('SIGINT'), listeners);
+        });
+});
+
+test('SIGINT disposes the VMs still in use and removes the handler', function () {
+    var t = setup();
+    var listeners = process.listenerCount('SIGINT');
+    // Keeps the handler from exiting the process, as it does when nobody else handles SIGINT
+    var keepAlive = function () {};
+
+    return createClone(t.vmrun)
+        .then(function (vm) {
+            process.on('SIGINT', keepAlive);
+            process.emit('SIGINT');
+
+            assert.strictEqual(vm.isDisposed(), true);
+            assert.strictEqual(process.listenerCount('SIGINT'), listeners + 1);
+            return vm.dispose();
+        })
+        .then(function () {
+            assert.strictEqual(t.fake.getVM(TARGET), undefined);
+        })
+        .finally(function () {
+            process.removeListener('SIGINT', keepAlive);
+        });
+});
+
+test('Symbol.asyncDispose disposes the VM once', { skip: typeof Symbol.asyncDispose !== 'symbol' ? 'no Symbol.asyncDispose' : false }, function () {
+    var t = setup();
+    var listeners = process.listenerCount('SIGINT');
+    var vm;
+
+    return createClone(t.vmrun)
+        .then(function (created) {
+            vm = created;
+            return vm[Symbol.asyncDispose]();
+        })
+        .then(function () {
+            assert.strictEqual(t.fake.getVM(TARGET), undefined);
+            assert.strictEqual(process.listenerCount('SIGINT'), listeners);
+
+            var calls = t.fake.calls.length;
+            return vm.dispose()
+                .then(function () {
+                    assert.strictEqual(t.fake.calls.length, calls);
+                });
+        });
+});
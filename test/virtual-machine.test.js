@@ -0,0 +1,35 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+var VMX = '/vms/a/a.vmx';
+
+test('a VM handle passes its vmx file and its options to the VMRun methods', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM(VMX, { power: 'on', credentials: { username: 'user', password: 'secret' }, files: { '/etc/hosts': '' } });
+
+    var vmrun = VMRun.withOptions({ executor: fake.executor, guestUsername: 'nobody' });
+    var vm = vmrun.vm(VMX, { guestUsername: 'user', guestPassword: 'secret' });
+
+    return vm.fileExistsInGuest('/etc/hosts')
+        .then(function (exists) {
+            assert.strictEqual(exists, true);
+            assert.deepStrictEqual(fake.calls[0], ['-T', 'ws', '-gu', 'user', '-gp', 'secret', 'fileExistsInGuest', VMX, '/etc/hosts']);
+
+            return assert.rejects(vm.withModifiedOptions({ guestPassword: 'wrong' }).fileExistsInGuest('/etc/hosts'),
+                VMRun.GuestAuthenticationError);
+        })
+        .then(function () {
+            assert.deepStrictEqual(fake.calls[1].slice(0, 6), ['-T', 'ws', '-gu', 'user', '-gp', 'wrong']);
+            return vm.vmrun('readVariable', ['guestEnv', 'PATH']);
+        })
+        .then(function () {
+            assert.deepStrictEqual(fake.calls[2].slice(-4), ['readVariable', VMX, 'guestEnv', 'PATH']);
+
+            // The VMRun instance keeps its own options
+            assert.strictEqual(vmrun._options.guestUsername, 'nobody');
+            assert.strictEqual(vm._vmrun._options.guestUsername, 'user');
+        });
+});
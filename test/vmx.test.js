@@ -0,0 +1,83 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var Path = require('path');
+var VMRun = require('..');
+
+var TEXT = [
+    '.encoding = "UTF-8"',
+    '# Added by hand',
+    'config.version = "8"',
+    '',
+    'displayName = "Build  |22agent|22"',
+    'memsize=1024',
+    'ethernet0.present = "TRUE"',
+    '  numvcpus = "2"   '
+].join('\r\n') + '\r\n';
+
+test('a vmx file is written back as it was read', function () {
+    var vmx = VMRun.vmx.parse(TEXT);
+
+    assert.strictEqual(vmx.toString(), TEXT);
+    assert.strictEqual(vmx.get('displayname'), 'Build  "agent"');
+    assert.strictEqual(vmx.getNumber('memsize'), 1024);
+    assert.strictEqual(vmx.getNumber('numvcpus'), 2);
+});
+
+test('a vmx file keeps whether it ended with a newline', function () {
+    var text = 'config.version = "8"\nmemsize = "1024"';
+    var vmx = VMRun.vmx.parse(text);
+
+    assert.strictEqual(vmx.toString(), text);
+    assert.strictEqual(vmx.set('numvcpus', 2).toString(), text + '\nnumvcpus = "2"');
+
+    assert.strictEqual(VMRun.vmx.parse('').toString(), '');
+    assert.strictEqual(VMRun.vmx.parse('').set('memsize', 512).toString(), 'memsize = "512"\n');
+});
+
+test('changing a vmx key keeps every other line byte for byte', function () {
+    var vmx = VMRun.vmx.parse(TEXT);
+
+    vmx.set('memsize', 2048).set('guestOS', 'ubuntu-64').remove('ethernet0.present');
+
+    var lines = vmx.toString().split('\r\n');
+    assert.deepStrictEqual(lines, [
+        '.encoding = "UTF-8"',
+        '# Added by hand',
+        'config.version = "8"',
+        '',
+        'displayName = "Build  |22agent|22"',
+        'memsize = "2048"',
+        '  numvcpus = "2"   ',
+        'guestOS = "ubuntu-64"',
+        ''
+    ]);
+});
+
+test('writeVmx refuses to write while the VM is locked', function () {
+    var vmrun = VMRun.withOptions({});
+    var dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'vmrun-test-'));
+    var vmxFile = Path.join(dir, 'a.vmx');
+    fs.writeFileSync(vmxFile, TEXT);
+    fs.mkdirSync(vmxFile + '.lck');
+
+    return vmrun.readVmx(vmxFile)
+        .then(function (vmx) {
+            vmx.set('memsize', 4096);
+            return assert.rejects(vmrun.writeVmx(vmxFile, vmx), VMRun.VMLockedError)
+                .then(function () {
+                    assert.strictEqual(fs.readFileSync(vmxFile, 'utf8'), TEXT);
+                    return vmrun.writeVmx(vmxFile, vmx, { force: true });
+                });
+        })
+        .then(function () {
+            assert.strictEqual(VMRun.vmx.parse(fs.readFileSync(vmxFile, 'utf8')).get('memsize'), '4096');
+            assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['a.vmx', 'a.vmx.lck']);
+        })
+        .finally(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var VMRun = require('..');
+
+/**
+ * @param {FakeVMRun} fake
+ * @param {[String]} failures vmrun error messages for the first runs
+ * @returns {VMRunExecutor}
+ */
+var failingFirst = function (fake, failures) {
+    failures = failures.slice();
+
+    return function (file, args, options) {
+        if (failures.length) {
+            var err = new Error('Command failed');
+            err.code = 255;
+            err.stdout = 'Error: ' + failures.shift() + '\n';
+            err.stderr = '';
+            return Promise.reject(err);
+        }
+        return fake.executor(file, args, options);
+    };
+};
+
+test('waitForGuestReady goes on after transient errors', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on', ipAddress: '10.0.0.7' });
+    var vmrun = VMRun.withOptions({
+        executor: failingFirst(fake, [
+            'The VMware Tools are not running in the virtual machine',
+            'The file is in use by another program',
+            'Unable to connect to host'
+        ])
+    });
+
+    return vmrun.waitForGuestReady('/vms/a/a.vmx', { interval: 5, timeout: 5000 })
+        .then(function (info) {
+            assert.strictEqual(info.state, VMRun.VMState.TOOLS_RUNNING);
+            assert.strictEqual(info.ipAddress, '10.0.0.7');
+        });
+});
+
+test('waitForState ends on other errors', function () {
+    var fake = new VMRun.FakeVMRun();
+    fake.addVM('/vms/a/a.vmx', { power: 'on' });
+    var vmrun = VMRun.withOptions({
+        executor: failingFirst(fake, ['Invalid user name or password for the guest OS'])
+    });
+
+    return assert.rejects(
+        vmrun.waitForState('/vms/a/a.vmx', VMRun.VMState.RUNNING, { interval: 5, timeout: 5000 }),
+        VMRun.GuestAuthenticationError);
+});